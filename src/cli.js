@@ -0,0 +1,726 @@
+#!/usr/bin/env node
+const fs = require("node:fs");
+const path = require("node:path");
+const yargs = require("yargs/yargs");
+const { hideBin } = require("yargs/helpers");
+const {
+  convertProject,
+  loadConfig,
+  convertCart,
+  renderCartPreview,
+  writeP8Cart,
+  convertP8CartToRom,
+  convertP8CartToPng,
+  loadP8Cart,
+  serializeP8Cart,
+  mergeP8CartSections,
+} = require("./index");
+
+// How long to wait for LDtk to finish saving before re-exporting
+const WATCH_DEBOUNCE_MS = 200;
+
+// Looked for beside the LDtk project when --config isn't given
+const CONFIG_FILENAME = "ldtk-pico8.config.json";
+
+// Each config file option, and the CLI option which overrides it
+const CONFIG_CLI_OPTIONS = {
+  output: "output",
+  into: "into",
+  levelsLua: "levels-lua",
+  lua: "lua",
+  luaTemplate: "lua-template",
+  preview: "preview",
+  overlapReport: "overlap-report",
+  levels: "levels",
+  levelLayout: "level-layout",
+  entities: "entities",
+  overlapStrategy: "overlap-strategy",
+  colorMatch: "color-match",
+  mapOutput: "map-output",
+  extendedMap: "extended-map",
+  pal: "pal",
+  palt: "palt",
+  intGrid: "intgrid",
+  layerRegions: "layer-region",
+  label: "label",
+  compact: "compact",
+  pin: "pin",
+  spriteArea: "sprite-area",
+  mapArea: "map-area",
+};
+const PATH_OPTIONS = [
+  "output",
+  "into",
+  "levelsLua",
+  "luaTemplate",
+  "preview",
+  "overlapReport",
+];
+
+async function importCart(argv) {
+  const cartPath = path.resolve(process.cwd(), argv.cart);
+  const outputPath = path.resolve(process.cwd(), argv.output);
+  const tilesetPath = path.resolve(
+    process.cwd(),
+    argv.tileset ??
+      path.join(
+        path.dirname(outputPath),
+        `${path.basename(outputPath, path.extname(outputPath))}.png`
+      )
+  );
+
+  const { ldtk, png } = await convertCart(loadP8Cart(cartPath), {
+    // LDtk always uses forward slashes, even on Windows
+    tilesetRelPath: path
+      .relative(path.dirname(outputPath), tilesetPath)
+      .split(path.sep)
+      .join("/"),
+    palt: argv.palt,
+    sharedArea: argv["shared-area"],
+  });
+
+  fs.writeFileSync(tilesetPath, png);
+  fs.writeFileSync(outputPath, JSON.stringify(ldtk, null, "\t"));
+
+  console.log(
+    `✅ Imported ${path.relative(process.cwd(), cartPath)} to ${path.relative(
+      process.cwd(),
+      outputPath
+    )}`
+  );
+}
+
+// Combine the config file's options with the CLI's, which take priority. File
+// paths are resolved relative to wherever they were given.
+function resolveExportOptions(argv, ldtkFilePath) {
+  const configFile = argv.config
+    ? path.resolve(process.cwd(), argv.config)
+    : path.join(path.dirname(ldtkFilePath), CONFIG_FILENAME);
+  const config =
+    argv.config || fs.existsSync(configFile) ? loadConfig(configFile) : {};
+
+  const options = Object.fromEntries(
+    Object.entries(CONFIG_CLI_OPTIONS).map(([option, cliOption]) => {
+      const isCliOption = argv[cliOption] !== undefined;
+      const value = isCliOption ? argv[cliOption] : config[option];
+      return [
+        option,
+        PATH_OPTIONS.includes(option) && value != null
+          ? path.resolve(
+              isCliOption ? process.cwd() : path.dirname(configFile),
+              value
+            )
+          : value,
+      ];
+    })
+  );
+
+  if (!options.output && !options.into) {
+    throw new Error(
+      `Must provide either --output or --into (or "output" in ${CONFIG_FILENAME})`
+    );
+  }
+
+  return { options, configFile };
+}
+
+// Replace each {{placeholder}} in a Lua template file with its value. Values
+// spanning multiple lines keep the indentation of the placeholder's line, and
+// unknown placeholders are left in place with a warning.
+function fillLuaTemplate(templatePath, values, warnings) {
+  let template;
+  try {
+    template = fs.readFileSync(templatePath).toString();
+  } catch (error) {
+    if (error.code === "ENOENT") {
+      throw new Error(`Cannot load file ${templatePath}`);
+    } else {
+      throw error;
+    }
+  }
+
+  return template
+    .replace(/\r\n/g, "\n")
+    .replace(/\n$/, "")
+    .replace(/\{\{(\w+)\}\}/g, (placeholder, name, offset, text) => {
+      if (!Object.hasOwn(values, name)) {
+        // Could be Lua, like a table of tables
+        warnings.push({
+          type: "warn",
+          message: `Unknown placeholder ${placeholder} in ${path.basename(
+            templatePath
+          )}; use one of ${Object.keys(values)
+            .map((key) => `{{${key}}}`)
+            .join(", ")}.`,
+        });
+        return placeholder;
+      }
+      const indent = text
+        .slice(text.lastIndexOf("\n", offset - 1) + 1, offset)
+        .match(/^[ \t]*/)[0];
+      return String(values[name]).split("\n").join(`\n${indent}`);
+    });
+}
+
+// The overlap report is saved even when conflicts stop the export, as that's
+// when it's needed most
+async function convertProjectWithReport(ldtkFilePath, options) {
+  let result;
+  try {
+    result = await convertProject(ldtkFilePath, {
+      ...options,
+      overlapReport: Boolean(options.overlapReport),
+    });
+  } catch (error) {
+    if (options.overlapReport && error.overlapReport) {
+      fs.writeFileSync(options.overlapReport, error.overlapReport);
+    }
+    throw error;
+  }
+  if (options.overlapReport && result.overlapReport) {
+    fs.writeFileSync(options.overlapReport, result.overlapReport);
+  }
+  return result;
+}
+
+async function exportProject(argv) {
+  const ldtkFilePath = path.resolve(process.cwd(), argv.project);
+  const { options, configFile } = resolveExportOptions(argv, ldtkFilePath);
+  const {
+    gfx: p8spriteData,
+    gff: p8spriteFlags,
+    map: p8mapData,
+    lua: levelsLua,
+    label: p8labelData,
+    entitiesLua,
+    palt,
+    pal,
+    animations,
+    mapRegions,
+    mapSize,
+    warnings,
+    files,
+  } = await convertProjectWithReport(ldtkFilePath, options);
+  const lua = options.lua ?? (options.luaTemplate ? "template" : "viewer");
+
+  if (!["none", "viewer", "template"].includes(lua)) {
+    throw new Error(`Unknown Lua output "${lua}"`);
+  }
+  if (lua === "template" && !options.luaTemplate) {
+    throw new Error("Must provide --lua-template to use --lua=template");
+  }
+  // The level data is all in Lua, which has to be written somewhere
+  const mapInLua = options.mapOutput === "lua" || options.extendedMap;
+  if (options.into && mapInLua && !options.levelsLua) {
+    throw new Error(
+      `Must provide --levels-lua to use ${
+        options.extendedMap ? "--extended-map" : "--map-output=lua"
+      } with --into, as the cart's code is left as it is`
+    );
+  }
+  if (options.into && (options.lua || options.luaTemplate)) {
+    warnings.push({
+      type: "warn",
+      message:
+        "The cart's code is left as it is when exporting --into a cart, so --lua is ignored.",
+    });
+  }
+
+  const outputPath = options.output ?? options.into;
+  const levelsLuaPath = options.levelsLua;
+  let cart;
+
+  if (levelsLuaPath) {
+    fs.writeFileSync(
+      levelsLuaPath,
+      ["-- generated by ldtk-pico8", ...levelsLua, ""].join("\n")
+    );
+  }
+
+  // Where the code includes the levels table, or the table itself
+  const levelsCode = levelsLuaPath
+    ? // #include paths are relative to the cart
+      `#include ${path.relative(path.dirname(outputPath), levelsLuaPath)}`
+    : levelsLua.join("\n");
+
+  if (options.into) {
+    // Only the exported sections are replaced; code, sfx, music, label, etc
+    // are left exactly as they were.
+    cart = serializeP8Cart(
+      mergeP8CartSections(loadP8Cart(options.into), {
+        __gfx__: p8spriteData,
+        __gff__: p8spriteFlags,
+        // Levels loaded from Lua leave the cart's map alone
+        ...(mapInLua ? {} : { __map__: p8mapData }),
+        // Only replace the existing label when generating a new one
+        ...(p8labelData ? { __label__: p8labelData } : {}),
+      })
+    );
+  } else if (lua === "none") {
+    cart = writeP8Cart({
+      __gfx__: p8spriteData,
+      __gff__: p8spriteFlags,
+      __map__: p8mapData,
+      __label__: p8labelData,
+    });
+  } else if (lua === "template") {
+    cart = writeP8Cart({
+      __gfx__: p8spriteData,
+      __gff__: p8spriteFlags,
+      __map__: p8mapData,
+      __label__: p8labelData,
+      __lua__: fillLuaTemplate(
+        options.luaTemplate,
+        {
+          levels: levelsCode,
+          entities: entitiesLua,
+          palt,
+          map_width: mapSize.width,
+          map_height: mapSize.height,
+          draw_map: (mapRegions.length
+            ? mapRegions
+            : [{ x: 0, y: 0, width: mapSize.width, height: mapSize.height }]
+          )
+            .map(
+              ({ x, y, width, height }) =>
+                `map(${x},${y},0,0,${width},${height})`
+            )
+            .join("\n"),
+        },
+        warnings
+      ).split("\n"),
+    });
+  } else {
+    // Maps loaded at runtime need loading before finding their animated tiles
+    const viewerInit = [
+      ...(options.mapOutput === "lua" ? ["load_map(levels[1],0,0)"] : []),
+      ...(options.extendedMap ? ["load_extended_map()"] : []),
+      ...(animations.length ? ["init_anims()"] : []),
+    ];
+    cart = writeP8Cart({
+      __gfx__: p8spriteData,
+      __gff__: p8spriteFlags,
+      __map__: p8mapData,
+      __label__: p8labelData,
+      __lua__: `-- generated by ldtk-pico8
+${levelsCode}
+
+cx = 0
+cy = 0
+${
+  viewerInit.length
+    ? `
+function _init()
+${viewerInit.map((line) => ` ${line}`).join("\n")}
+end
+`
+    : ""
+}
+function _update()
+ if (btn(0)) cx -= 2
+ if (btn(1)) cx += 2
+ if (btn(2)) cy -= 2
+ if (btn(3)) cy += 2${
+   animations.length
+     ? `
+ update_anims()`
+     : ""
+ }
+end
+
+function _draw()
+ cls(${
+   palt === 0
+     ? `0)`
+     : `${palt})
+ palt(0,false)
+ palt(${palt},true)`
+ }
+ camera(cx,cy)
+ ${
+   mapRegions.length
+     ? // Each region is drawn over the top of the last, lined up with the level
+       mapRegions
+         .map(
+           ({ x, y, width, height }) => `map(${x},${y},0,0,${width},${height})`
+         )
+         .join("\n ")
+     : options.extendedMap
+     ? `map(0,0,0,0,${mapSize.width},${mapSize.height})`
+     : `map(0,0,0,0,128,64)`
+ }${
+        palt === 0
+          ? ``
+          : `
+ palt(0)`
+      }
+end`.split("\n"),
+    });
+  }
+
+  warnings.forEach(({ type, message }) => {
+    console.warn(`[${type}] ${message}`);
+  });
+
+  // Binary carts are chosen by extension, with any #include resolved relative
+  // to the cart the code came from
+  const includeDir = path.dirname(options.into ?? outputPath);
+  if (/\.p8\.png$/i.test(outputPath)) {
+    fs.writeFileSync(
+      outputPath,
+      await convertP8CartToPng(cart, { includeDir })
+    );
+  } else if (/\.p8\.rom$/i.test(outputPath)) {
+    fs.writeFileSync(outputPath, convertP8CartToRom(cart, { includeDir }));
+  } else {
+    fs.writeFileSync(outputPath, cart);
+  }
+
+  if (options.preview) {
+    // Rendered from the cart as written, so it matches what PICO-8 will draw
+    fs.writeFileSync(
+      options.preview,
+      await renderCartPreview(cart, { palt, pal })
+    );
+  }
+
+  console.log(
+    `✅ Exported ${path.relative(
+      process.cwd(),
+      ldtkFilePath
+    )} to ${path.relative(process.cwd(), outputPath)}`
+  );
+
+  // The files this export depends on (including the config file, so one
+  // created while watching is picked up)
+  return [...files, configFile, options.luaTemplate].filter(Boolean);
+}
+
+// Re-export whenever the LDtk project or its tileset image changes. Errors are
+// reported without exiting so a bad save doesn't stop the watcher.
+// Directories are watched rather than files since many editors save by
+// replacing the file, which would otherwise stop the watcher.
+function watchProject(argv) {
+  const watchers = new Map();
+  let watchedFiles = new Set([path.resolve(process.cwd(), argv.project)]);
+  let debounceTimeout;
+  let isExporting = false;
+  let isExportQueued = false;
+
+  function scheduleExport() {
+    clearTimeout(debounceTimeout);
+    debounceTimeout = setTimeout(runExport, WATCH_DEBOUNCE_MS);
+  }
+
+  function updateWatchers() {
+    const dirs = new Set([...watchedFiles].map((file) => path.dirname(file)));
+
+    watchers.forEach((watcher, dir) => {
+      if (!dirs.has(dir)) {
+        watcher.close();
+        watchers.delete(dir);
+      }
+    });
+
+    // A directory which can't be watched (eg; it's been removed) is reported
+    // and tried again after the next export, rather than stopping the watcher
+    dirs.forEach((dir) => {
+      if (watchers.has(dir)) {
+        return;
+      }
+      try {
+        const watcher = fs.watch(dir, (eventType, filename) => {
+          if (filename && watchedFiles.has(path.join(dir, filename))) {
+            scheduleExport();
+          }
+        });
+        watcher.on("error", (error) => {
+          console.error(`[erro] ${error.toString()}`);
+          watcher.close();
+          watchers.delete(dir);
+        });
+        watchers.set(dir, watcher);
+      } catch (error) {
+        console.error(`[erro] ${error.toString()}`);
+      }
+    });
+  }
+
+  async function runExport() {
+    // Wait for the current export to finish before starting another
+    if (isExporting) {
+      isExportQueued = true;
+      return;
+    }
+
+    isExporting = true;
+    try {
+      watchedFiles = new Set(await exportProject(argv));
+    } catch (error) {
+      console.error(`[erro] ${error.toString()}`);
+    } finally {
+      isExporting = false;
+    }
+
+    updateWatchers();
+    console.log("[info] Watching for changes...");
+
+    if (isExportQueued) {
+      isExportQueued = false;
+      scheduleExport();
+    }
+  }
+
+  runExport();
+
+  // Never resolves; keep watching until the process is stopped
+  return new Promise(() => {});
+}
+
+async function main() {
+  await yargs(hideBin(process.argv))
+    .command(
+      "$0 <project>",
+      "Export an LDtk project to a PICO-8 cart",
+      (yargs) =>
+        yargs
+          .positional("project", {
+            describe: "LDtk project file",
+            type: "string",
+          })
+          .option("o", {
+            alias: "output",
+            type: "string",
+            describe: "Exported PICO-8 cart filename; .p8, .p8.png, or .p8.rom",
+          })
+          .option("i", {
+            alias: "into",
+            type: "string",
+            describe:
+              "Existing PICO-8 cart to merge the exported map, sprites & flags into",
+          })
+          .option("levels-lua", {
+            type: "string",
+            describe:
+              "Write the Lua table of levels to this file instead of the cart's code",
+          })
+          .option("lua", {
+            describe:
+              "Code to put in the cart; none, the map viewer, or --lua-template filled in with the exported levels",
+            choices: ["none", "viewer", "template"],
+            defaultDescription: '"viewer"',
+          })
+          .option("lua-template", {
+            type: "string",
+            describe:
+              "Lua file with {{levels}}, {{entities}}, {{palt}}, {{map_width}}, {{map_height}} & {{draw_map}} placeholders to use as the cart's code",
+          })
+          .option("levels", {
+            type: "string",
+            describe:
+              'Only export these levels, as comma separated identifiers (eg; "Start,Cave")',
+            coerce: (levels) => levels.split(","),
+          })
+          .option("l", {
+            alias: "level-layout",
+            describe: "How to place multiple levels into the PICO-8 map",
+            choices: ["world", "pack"],
+            // Defaults are left unset so the config file can provide them
+            defaultDescription: '"world"',
+          })
+          .option("e", {
+            alias: "entities",
+            describe:
+              "Stamp entity tiles into the map, export entities as Lua data, or both",
+            choices: ["map", "lua", "both"],
+            defaultDescription: '"map"',
+          })
+          .option("s", {
+            alias: "overlap-strategy",
+            describe: "How to handle overlapping sprite & map data",
+            choices: ["error", "merge", "sprite", "map"],
+            defaultDescription: '"error"',
+          })
+          .option("overlap-report", {
+            type: "string",
+            describe:
+              "Save an image of the shared sprite & map area with conflicts highlighted",
+          })
+          .option("preview", {
+            type: "string",
+            describe:
+              "Save an image of the exported map & sprite sheet as PICO-8 will draw them",
+          })
+          .option("c", {
+            alias: "color-match",
+            describe: "How to match tileset pixels to PICO-8 colors",
+            choices: ["strict", "nearest", "dither"],
+            defaultDescription: '"nearest"',
+          })
+          .option("pal", {
+            type: "string",
+            describe:
+              'Display palette as comma separated PICO-8 colors (eg; "0,129,2"), overriding the "pico8_pal" level field',
+            coerce: (pal) => pal.split(",").map(Number),
+          })
+          .option("palt", {
+            type: "number",
+            describe:
+              'PICO-8 color to make transparent, overriding the "pico8_palt" level field',
+          })
+          .option("intgrid", {
+            type: "string",
+            describe:
+              'Export the values of an IntGrid layer as sprite flags, map marker tiles offset x,y cells from each level, or Lua (eg; "Collisions=flags", "Regions=map:0,32", "Zones=lua"). Can be repeated',
+            coerce: (intGrid) =>
+              [].concat(intGrid).reduce((modes, layerMode) => {
+                const [, identifier, mode] =
+                  layerMode.match(/^([^=]+)=(.*)$/) ?? [];
+                if (!identifier) {
+                  throw new Error(
+                    `Invalid --intgrid "${layerMode}"; use <layer>=<flags|map:x,y|lua>`
+                  );
+                }
+                // Each layer is exported one way
+                if (Object.hasOwn(modes, identifier)) {
+                  throw new Error(
+                    `Layer "${identifier}" is given more than one --intgrid mode; use one of "${modes[identifier]}" or "${mode}"`
+                  );
+                }
+                return { ...modes, [identifier]: mode };
+              }, {}),
+          })
+          .option("label", {
+            type: "string",
+            describe:
+              'Render the cart\'s label image from 16x16 cells of the map, starting at x,y (eg; "--label=16,0"), or the "pico8_label" level field',
+            coerce: (label) => (label === "" ? true : label),
+          })
+          .option("map-output", {
+            describe:
+              "Place levels in the PICO-8 map, or compress them into Lua strings to load into the map at runtime",
+            choices: ["map", "lua"],
+            defaultDescription: '"map"',
+          })
+          .option("extended-map", {
+            type: "string",
+            describe:
+              'Place levels in a larger map loaded into upper memory at runtime (PICO-8 0.2.4+), optionally with its width in cells (eg; "--extended-map=192") [default width: 256]',
+            coerce: (width) => (width === "" ? true : width),
+          })
+          .option("layer-region", {
+            type: "string",
+            describe:
+              'Draw a layer into its own area of the PICO-8 map, as x,y or x,y,width,height in cells (eg; "Background=0,16,128,16"). Can be repeated',
+            coerce: (layerRegions) =>
+              Object.fromEntries(
+                [].concat(layerRegions).map((layerRegion) => {
+                  const [, identifier, region] =
+                    layerRegion.match(/^([^=]+)=(.*)$/) ?? [];
+                  if (!identifier) {
+                    throw new Error(
+                      `Invalid --layer-region "${layerRegion}"; use <layer>=<x,y[,width,height]>`
+                    );
+                  }
+                  return [identifier, region];
+                })
+              ),
+          })
+          .option("sprite-area", {
+            type: "string",
+            describe:
+              'Only export tiles into this area of the sprite sheet, as x,y,width,height in sprites (eg; "0,0,16,8")',
+          })
+          .option("map-area", {
+            type: "string",
+            describe:
+              'Only place levels in this area of the PICO-8 map, as x,y,width,height in cells (eg; "0,0,128,32")',
+          })
+          .option("compact", {
+            type: "boolean",
+            describe:
+              "Drop unused sprites and pack the rest toward the top of the sprite sheet",
+          })
+          .option("pin", {
+            type: "string",
+            describe:
+              'Sprites to always keep in place when compacting, as comma separated sprite numbers (eg; "1,2,16")',
+            coerce: (pin) =>
+              pin.split(",").map((sprite) => {
+                const number = Number(sprite);
+                if (!/^\s*\d+\s*$/.test(sprite) || number < 1 || number > 255) {
+                  throw new Error(
+                    `Invalid --pin sprite "${sprite}"; use sprite numbers from 1 to 255`
+                  );
+                }
+                return number;
+              }),
+          })
+          .option("w", {
+            alias: "watch",
+            type: "boolean",
+            describe:
+              "Re-export whenever the LDtk project or tileset image changes",
+          })
+          .option("config", {
+            type: "string",
+            describe: `Export settings file [default: ${CONFIG_FILENAME} beside the project]`,
+          }),
+      (argv) => (argv.watch ? watchProject(argv) : exportProject(argv))
+    )
+    .command(
+      "import <cart>",
+      "Import a PICO-8 cart into a new LDtk project",
+      (yargs) =>
+        yargs
+          .positional("cart", {
+            describe: "PICO-8 cart file (.p8)",
+            type: "string",
+          })
+          .option("o", {
+            alias: "output",
+            type: "string",
+            describe: "LDtk project filename",
+          })
+          .option("t", {
+            alias: "tileset",
+            type: "string",
+            describe:
+              "Tileset image filename [default: project filename with .png]",
+          })
+          .option("p", {
+            alias: "palt",
+            type: "number",
+            describe: "PICO-8 color to make transparent in the tileset image",
+            default: 0,
+          })
+          .option("s", {
+            alias: "shared-area",
+            describe:
+              "Whether to import the shared sprite/map area as map data",
+            choices: ["map", "sprite"],
+            default: "map",
+          })
+          .demandOption("output"),
+      importCart
+    )
+    .strict()
+    .fail((message, error, yargs) => {
+      // Errors while exporting or importing are reported by main()
+      if (error instanceof Error && error.name !== "YError") {
+        throw error;
+      }
+      yargs.showHelp();
+      console.error(`\n${message}`);
+      process.exit(1);
+    })
+    .help()
+    .parseAsync();
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error(`[erro] ${error.messge || error.toString()}`);
+    process.exit(-1);
+  });
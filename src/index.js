@@ -1,10 +1,8 @@
-#!/usr/bin/env node
+const crypto = require("node:crypto");
 const fs = require("node:fs");
 const path = require("node:path");
 const jimp = require("jimp");
 const colorDiff = require("color-diff");
-const yargs = require("yargs/yargs");
-const { hideBin } = require("yargs/helpers");
 
 const PICO_MAP_WIDTH_CELLS = 128;
 const PICO_MAP_HEIGHT_CELLS = 64;
@@ -14,6 +12,11 @@ const PICO_MAP_HEIGHT_PX = PICO_MAP_HEIGHT_CELLS * 8;
 
 const PICO_MAP_DATA_NIBBLES = 2;
 
+// PICO-8 0.2.4+ can instead draw the map from upper memory (0x8000 onward), at
+// any width up to 256 cells, with as many rows as fit
+const PICO_EXTENDED_MAP_BYTES = 0x8000;
+const PICO_EXTENDED_MAP_MAX_WIDTH_CELLS = 256;
+
 // Map shares rows 32 onward with gfx sprite data
 const PICO_MAP_SHARED_ROWS_FROM = 32;
 
@@ -27,6 +30,7 @@ const PICO_SPRITE_DATA_NIBBLES = 1;
 
 // Sprite shares rows 64 onward with gfx sprite data
 const PICO_SPRITE_SHARED_ROWS_FROM = 64;
+const PICO_SPRITE_SHARED_FROM = 128;
 
 // Sprite flags are stored in 2 rows of 128 flags (2 bytes each, so 256 chars
 // per row).
@@ -34,6 +38,35 @@ const PICO_FLAGS_WIDTH = 128;
 const PICO_FLAGS_DATA_NIBBLES = 2;
 
 const LDTK_PALT_FIELD = "pico8_palt";
+const LDTK_PAL_FIELD = "pico8_pal";
+// Tiles tagged with this tileset Enum value are always kept in the sprite
+// sheet, and keep their sprite number when compacting
+const LDTK_PIN_ENUM_VALUE = "pico8_pin";
+// A Point level field marking the top-left of the cart's label image
+const LDTK_LABEL_FIELD = "pico8_label";
+// A line of a tile's custom data listing the tile IDs of each frame of its
+// animation, eg; "anim: 16,17,18,19 @ 8fps"
+const LDTK_ANIM_LINE = /^[ \t]*anim[ \t]*:(.*)$/m;
+const LDTK_ANIM_DEFAULT_FPS = 8;
+
+// LDtk's tile flip bits
+const LDTK_FLIP_X = 1;
+const LDTK_FLIP_Y = 2;
+
+// Flipped tiles are stored in the flat map above the 8 bits of the sprite
+// number until they're resolved into real sprites.
+const FLAT_TILE_FLIP_SHIFT = 8;
+
+// The order PICO-8 itself writes sections to a .p8 cart
+const P8_SECTION_ORDER = [
+  "__lua__",
+  "__gfx__",
+  "__label__",
+  "__gff__",
+  "__map__",
+  "__sfx__",
+  "__music__",
+];
 
 const PALETTE = [
   [0, 0, 0], // black
@@ -55,17 +88,113 @@ const PALETTE = [
   // Mapped into an object ready for color diffing
 ].map(([R, G, B]) => ({ R, G, B }));
 
-function defaultLayerFilter(layer) {
-  console.warn(
-    `[warn] Unexpected layer type "${layer.type}", skipping. [uid ${layer.uid}]`
-  );
+// The "secret" palette, available as colors 128-143 by remapping the display
+// palette with `pal(i,c,1)`
+const SECRET_PALETTE = [
+  [41, 24, 20], // darkest-grey
+  [17, 29, 53], // darker-blue
+  [66, 33, 54], // darker-purple
+  [18, 83, 89], // blue-green
+  [116, 47, 41], // dark-brown
+  [73, 51, 59], // darker-grey
+  [162, 136, 121], // medium-grey
+  [243, 239, 125], // light-yellow
+  [190, 18, 80], // dark-red
+  [255, 108, 36], // dark-orange
+  [168, 231, 46], // lime-green
+  [0, 181, 67], // medium-green
+  [6, 90, 181], // true-blue
+  [117, 70, 101], // mauve
+  [255, 110, 89], // dark-peach
+  [255, 157, 129], // peach
+].map(([R, G, B]) => ({ R, G, B }));
+
+const SECRET_PALETTE_FROM = 128;
+
+// PICO-8's limit on the size of a cart's code
+const PICO_CODE_CHARACTERS = 65535;
+
+// Where each section lives in a cart's 32K ROM
+// See: https://pico-8.fandom.com/wiki/P8PNGFileFormat
+const P8_ROM_SIZE = 0x8000;
+const P8_ROM_MAP_OFFSET = 0x2000;
+const P8_ROM_GFF_OFFSET = 0x3000;
+const P8_ROM_MUSIC_OFFSET = 0x3100;
+const P8_ROM_SFX_OFFSET = 0x3200;
+const P8_ROM_CODE_OFFSET = 0x4300;
+const P8_ROM_MUSIC_PATTERNS = 64;
+// PICO-8's limit on the size of a cart's code once compressed
+const PICO_CODE_COMPRESSED_BYTES = P8_ROM_SIZE - P8_ROM_CODE_OFFSET;
+const P8_ROM_SFX_COUNT = 64;
+const P8_ROM_SFX_BYTES = 68;
+const P8_ROM_SFX_NOTES = 32;
+
+// The (older, but still supported) ":c:" compressed code format
+const P8_CODE_COMPRESSED_HEADER = ":c:\0";
+const P8_CODE_CHARACTERS =
+  "\n 0123456789abcdefghijklmnopqrstuvwxyz!#%(){}[]<>+=/*:;.,~_";
+const P8_CODE_MAX_OFFSET = (0xff - 0x3c) * 16 + 0xf;
+const P8_CODE_MAX_LENGTH = 0xf + 2;
+
+// .p8.png carts store each byte of the ROM (plus the PICO-8 version) in the
+// low 2 bits of each channel of one pixel
+const P8_PNG_WIDTH = 160;
+const P8_PNG_HEIGHT = 205;
+const P8_PNG_LABEL_X = 16;
+const P8_PNG_LABEL_Y = 24;
+const P8_PNG_BODY_COLOR = 5;
+const P8_DEFAULT_VERSION = 41;
+
+// Names which can't be used as table keys without quoting them
+const LUA_RESERVED_WORDS = [
+  "and",
+  "break",
+  "do",
+  "else",
+  "elseif",
+  "end",
+  "false",
+  "for",
+  "function",
+  "goto",
+  "if",
+  "in",
+  "local",
+  "nil",
+  "not",
+  "or",
+  "repeat",
+  "return",
+  "then",
+  "true",
+  "until",
+  "while",
+];
+
+// Run lengths of maps exported as Lua strings are a single base 36 digit
+const LUA_MAP_RUN_DIGITS = "0123456789abcdefghijklmnopqrstuvwxyz";
+
+// Don't flood the console when a whole tileset is the wrong colors
+const MAX_REPORTED_PIXELS = 50;
+const MAX_REPORTED_CONFLICTS = 20;
+
+// Overlap report colors
+const REPORT_CONFLICT_TINT = [255, 0, 0];
+const REPORT_MAP_TINT = [0, 0, 255];
+
+function defaultLayerFilter(layer, warnings) {
+  warnings.push({
+    type: "warn",
+    message: `Unexpected layer type "${layer.type}", skipping. [uid ${layer.uid}]`,
+  });
   return false;
 }
 
-function defaultLayerProcessor(layer) {
-  console.warn(
-    `[warn] Unexpected layer type "${layer.type}", skipping. [uid ${layer.uid}]`
-  );
+function defaultLayerProcessor(layer, warnings) {
+  warnings.push({
+    type: "warn",
+    message: `Unexpected layer type "${layer.type}", skipping. [uid ${layer.uid}]`,
+  });
 }
 
 function toHex(x, ndigits) {
@@ -82,7 +211,47 @@ function arrayToHexString(arr, ndigits, defaultVal) {
   return outData;
 }
 
-async function imageToIndexedPico8(img, palt, clipRect) {
+// PICO-8 color numbers are 0-15 for the regular palette, and 128-143 for the
+// secret palette
+function pico8ColorToRgb(color) {
+  return color >= SECRET_PALETTE_FROM
+    ? SECRET_PALETTE[color - SECRET_PALETTE_FROM]
+    : PALETTE[color];
+}
+
+// Returns -1 if the color isn't exactly a PICO-8 color
+function rgbToPico8Color({ R, G, B }) {
+  const isSame = (color) => color.R === R && color.G === G && color.B === B;
+  const index = PALETTE.findIndex(isSame);
+  if (index !== -1) {
+    return index;
+  }
+  const secretIndex = SECRET_PALETTE.findIndex(isSame);
+  return secretIndex === -1 ? -1 : SECRET_PALETTE_FROM + secretIndex;
+}
+
+function rgbToHex({ R, G, B }) {
+  return `#${[R, G, B].map((value) => toHex(value, 2)).join("")}`;
+}
+
+// `pal` is the display palette; the PICO-8 color shown for each of the 16
+// palette slots. Pixels are matched against those colors using `colorMatch`:
+// - "strict": Throw an error listing every pixel which isn't exactly one of
+//   the displayed colors
+// - "nearest": Use the perceptually closest displayed color
+// - "dither": Use the closest displayed color, spreading the difference over
+//   the neighbouring pixels of the same sprite (Floyd-Steinberg dithering)
+// `describeSprite` names a sprite (numbered across the clip rect) in the
+// reports of pixels which weren't a displayed color.
+async function imageToIndexedPico8(
+  img,
+  palt,
+  pal,
+  colorMatch,
+  clipRect,
+  describeSprite,
+  warnings
+) {
   const image = await jimp.read(img);
 
   const { x1, y1, x2, y2, width, height } = intersectRects(clipRect, {
@@ -93,53 +262,155 @@ async function imageToIndexedPico8(img, palt, clipRect) {
   });
 
   if (width !== image.bitmap.width || height !== image.bitmap.height) {
-    console.warn(
-      `[warn] Tileset image (${image.bitmap.width}x${image.bitmap.height}) will be clipped to (${width}x${height}).`
-    );
+    warnings.push({
+      type: "warn",
+      message: `Tileset image (${image.bitmap.width}x${image.bitmap.height}) will be clipped to (${width}x${height}).`,
+    });
   }
 
   let gfxOut = [];
+  const displayPalette = pal.map(pico8ColorToRgb);
+  const undisplayedColors = new Set();
+  // Sprite number => count of pixels which weren't exactly a displayed color
+  const remappedPixels = new Map();
+  const nonconformingPixels = [];
+  // Accumulated [R, G, B] error for each pixel when dithering
+  const ditherError = [];
+
+  // Sprites are numbered across the clip rect, not the (possibly narrower)
+  // image, so they match the sheet the pixels are copied into.
+  function spriteAt(x, y) {
+    return (
+      Math.floor((y - y1) / 8) * Math.ceil(clipRect.width / 8) +
+      Math.floor((x - x1) / 8)
+    );
+  }
+
+  // Spread the error to a neighbouring pixel, but only within the same
+  // sprite so one sprite doesn't affect how another looks.
+  function diffuseError(sprite, x, y, error, weight) {
+    if (x >= x2 || y >= y2 || x < x1 || spriteAt(x, y) !== sprite) {
+      return;
+    }
+    const index = (y - y1) * width + (x - x1);
+    const existing = ditherError[index] ?? [0, 0, 0];
+    ditherError[index] = existing.map(
+      (value, channel) => value + error[channel] * weight
+    );
+  }
 
-  // Build up an array of pizel values. This may be a sparse array if the
-  // tileset image size is thinner than the PICO-8 sprite area.
+  // Build up an array of pizel values the width of the clip rect. This may be
+  // a sparse array if the tileset image size is thinner than the PICO-8 sprite
+  // area.
   image.scan(x1, y1, x2, y2, function (x, y, idx) {
     let paletteNumber;
     // Fully transparent pixel
     if (this.bitmap.data[idx + 3] === 0) {
       paletteNumber = palt;
     } else {
+      const pixel = {
+        R: this.bitmap.data[idx + 0], // red
+        G: this.bitmap.data[idx + 1], // green
+        B: this.bitmap.data[idx + 2], // blue
+      };
+
+      // Exact PICO-8 colors which can't be displayed with the current palette
+      const pico8Color = rgbToPico8Color(pixel);
+      if (pico8Color !== -1 && !pal.includes(pico8Color)) {
+        undisplayedColors.add(pico8Color);
+      }
+
+      const error = ditherError[(y - y1) * width + (x - x1)] ?? [0, 0, 0];
+      const target =
+        colorMatch === "dither"
+          ? {
+              R: Math.min(255, Math.max(0, pixel.R + error[0])),
+              G: Math.min(255, Math.max(0, pixel.G + error[1])),
+              B: Math.min(255, Math.max(0, pixel.B + error[2])),
+            }
+          : pixel;
+
       // Use a perceptual diff to attempt color-matching to the PICO-8 palette
-      const closest = colorDiff.closest(
-        {
-          R: this.bitmap.data[idx + 0], // red
-          G: this.bitmap.data[idx + 1], // green
-          B: this.bitmap.data[idx + 2], // blue
-        },
-        PALETTE
-      );
+      const closest = colorDiff.closest(target, displayPalette);
 
-      paletteNumber = PALETTE.findIndex(
+      paletteNumber = displayPalette.findIndex(
         ({ R, G, B }) => closest.R === R && closest.B === B && closest.G === G
       );
 
-      if (paletteNumber < 0) {
-        console.warn(
-          `[warn] Found non PICO-8 color ${cssHex} at ${x},${y}. Defaulting it to color 0.`
-        );
+      if (
+        closest.R !== pixel.R ||
+        closest.G !== pixel.G ||
+        closest.B !== pixel.B
+      ) {
+        const sprite = spriteAt(x, y);
+        remappedPixels.set(sprite, (remappedPixels.get(sprite) ?? 0) + 1);
+        if (colorMatch === "strict") {
+          nonconformingPixels.push(
+            `${describeSprite(sprite)} at ${x},${y} (${rgbToHex(pixel)})`
+          );
+        }
+      }
 
-        paletteNumber = 0;
+      if (colorMatch === "dither") {
+        const diff = [
+          target.R - closest.R,
+          target.G - closest.G,
+          target.B - closest.B,
+        ];
+        const sprite = spriteAt(x, y);
+        diffuseError(sprite, x + 1, y, diff, 7 / 16);
+        diffuseError(sprite, x - 1, y + 1, diff, 3 / 16);
+        diffuseError(sprite, x, y + 1, diff, 5 / 16);
+        diffuseError(sprite, x + 1, y + 1, diff, 1 / 16);
       }
     }
 
-    gfxOut[(y - y1) * width + (x - x1)] = paletteNumber;
+    gfxOut[(y - y1) * clipRect.width + (x - x1)] = paletteNumber;
   });
 
+  if (nonconformingPixels.length) {
+    throw new Error(
+      `Color match "strict" found ${
+        nonconformingPixels.length
+      } pixel(s) which aren't a displayed PICO-8 color:\n${nonconformingPixels
+        .slice(0, MAX_REPORTED_PIXELS)
+        .map((pixel) => `  - ${pixel}`)
+        .join("\n")}${
+        nonconformingPixels.length > MAX_REPORTED_PIXELS
+          ? `\n  ...and ${
+              nonconformingPixels.length - MAX_REPORTED_PIXELS
+            } more`
+          : ""
+      }`
+    );
+  }
+
+  if (undisplayedColors.size) {
+    warnings.push({
+      type: "warn",
+      message: `Tileset uses PICO-8 color(s) ${[...undisplayedColors].join(
+        ", "
+      )} which aren't in the display palette, so the closest displayed color will be used instead. Add them to the "${LDTK_PAL_FIELD}" level field to use them.`,
+    });
+  }
+
+  if (remappedPixels.size) {
+    warnings.push({
+      type: "info",
+      message: `Remapped pixels which weren't a displayed PICO-8 color: ${[
+        ...remappedPixels,
+      ]
+        .map(([sprite, count]) => `${describeSprite(sprite)} (${count} pixels)`)
+        .join(", ")}`,
+    });
+  }
+
   return gfxOut;
 }
 
 function splitPICODataIntoLines(data, width, nibbles) {
   const charsPerLine = width * nibbles;
-  const dataLines = data.match(new RegExp(`.{${charsPerLine}}`, "g"));
+  const dataLines = data.match(new RegExp(`.{${charsPerLine}}`, "g")) ?? [];
 
   // There may be a partial line of data, so we have to pad that out with "0"s
   const leftoverNibbles = data.length % charsPerLine;
@@ -157,10 +428,6 @@ function splitPICODataIntoLines(data, width, nibbles) {
   return dataLines;
 }
 
-function joinGfxDataFromLines(gfxData) {
-  return gfxData.join("");
-}
-
 function splitMapDataIntoLines(mapData) {
   const mapDataLines = mapData.match(
     new RegExp(`.{${PICO_MAP_WIDTH_CELLS * PICO_MAP_DATA_NIBBLES}}`, "g")
@@ -183,10 +450,6 @@ function splitMapDataIntoLines(mapData) {
   return mapDataLines;
 }
 
-function joinMapDataFromLines(mapData) {
-  return mapData.join("");
-}
-
 // Clip data to maximum allowed by PICO-8
 function clipGfxData(gfxData) {
   return gfxData.slice(
@@ -205,22 +468,6 @@ function trimGfxData(gfxData) {
   );
 }
 
-function trimGfxDataLines(gfxDataLines) {
-  return splitPICODataIntoLines(
-    trimGfxData(joinGfxDataFromLines(gfxDataLines)),
-    PICO_SPRITE_WIDTH_PX,
-    PICO_SPRITE_DATA_NIBBLES
-  );
-}
-
-function trimMapDataLines(mapDataLines) {
-  return splitPICODataIntoLines(
-    trimMapData(joinMapDataFromLines(mapDataLines)),
-    PICO_MAP_WIDTH_CELLS,
-    PICO_MAP_DATA_NIBBLES
-  );
-}
-
 // Trim trailing lines of all 0's, since PICO-8 will default them to "0" and
 // will not normally output them in a .p8 cart.
 // See: https://pico-8.fandom.com/wiki/P8FileFormat
@@ -231,117 +478,298 @@ function trimMapData(mapData) {
   );
 }
 
-// Any overlapping map area will be merged into the sprite data, then removed
-// from the map data
-// At this point we may have overlapping sprite and map data; The bottom 64
-// rows of pixels in the sprite sheet (gfx) is shared with the bottom 32 rows
-// of cells in the map.
-// We have 3 strategies for dealing with this:
-// 0. If there's no overlap, there's no problem!
-// 1. "error" strategy: Throw an error if there's overlapping data
-// 2. "map" strategy: Overwrite sprite data with map data
-// 3. "sprite" strategy: Overwrite map data with sprite data
-function mergeP8SharedMapIntoSpriteData(gfxDataLines, mapDataLines, strategy) {
-  if (
-    mapDataLines.length > PICO_MAP_SHARED_ROWS_FROM &&
-    gfxDataLines.length > PICO_SPRITE_SHARED_ROWS_FROM &&
-    overlapStrategy === "error"
-  ) {
-    throw new Error(
-      `Overlap strategy "error" prevents merging shared map & sprite data: Sprite data uses ${
-        gfxDataLines.length - PICO_SPRITE_SHARED_ROWS_FROM
-      } rows of shared pixel space, and Map data uses ${
-        mapDataLines.length - PICO_MAP_SHARED_ROWS_FROM
-      } rows of shared map space.`
-    );
-  }
+// The map cells in the shared area, as the pixel index of the (2 pixel wide)
+// spot they're stored at in the sprite sheet.
+function sharedMapCellPixelIndex(x, y) {
+  const offset = (y - PICO_MAP_SHARED_ROWS_FROM) * PICO_MAP_WIDTH_CELLS + x;
+  return (
+    (PICO_SPRITE_SHARED_ROWS_FROM +
+      Math.floor(offset / (PICO_SPRITE_WIDTH_PX / 2))) *
+      PICO_SPRITE_WIDTH_PX +
+    (offset % (PICO_SPRITE_WIDTH_PX / 2)) * 2
+  );
+}
 
-  if (mapDataLines.length <= PICO_MAP_SHARED_ROWS_FROM) {
-    // Nothing to merge
-    return [gfxDataLines, mapDataLines];
-  }
+function spriteAtPixelIndex(index) {
+  return (
+    Math.floor(index / PICO_SPRITE_WIDTH_PX / 8) * PICO_SPRITE_WIDTH_CELLS +
+    Math.floor((index % PICO_SPRITE_WIDTH_PX) / 8)
+  );
+}
 
-  // Make a copy to work on
-  let gfxDataLinesOut = [...gfxDataLines];
+// Find which map cells in the shared area are drawn into each shared sprite,
+// and which of those sprites aren't empty (a conflict).
+// Returns `mapCells` (sprite number => [{ x, y }]) and `conflicts` as
+// [{ sprite, cells: [{ x, y }] }]
+function findSharedAreaConflicts(ldtkFlatTiles, gfxPixels, palt) {
+  const mapCells = new Map();
 
-  // pad out gfxData so it's large enough to append the map data
-  for (let i = gfxDataLines.length; i < PICO_SPRITE_SHARED_ROWS_FROM; i++) {
-    gfxDataLinesOut.push(
-      "".padEnd(PICO_SPRITE_WIDTH_PX * PICO_SPRITE_DATA_NIBBLES, "0")
-    );
+  for (let y = PICO_MAP_SHARED_ROWS_FROM; y < PICO_MAP_HEIGHT_CELLS; y++) {
+    for (let x = 0; x < PICO_MAP_WIDTH_CELLS; x++) {
+      if (!ldtkFlatTiles[y * PICO_MAP_WIDTH_CELLS + x]) {
+        continue;
+      }
+      const sprite = spriteAtPixelIndex(sharedMapCellPixelIndex(x, y));
+      mapCells.set(sprite, [...(mapCells.get(sprite) ?? []), { x, y }]);
+    }
   }
 
-  const mapAsGfxData = mapDataLines
-    .join("")
-    // The byte order needs to be swapped for storage within the gfx data
-    .replace(/(.)(.)/g, "$2$1");
+  const conflicts = [...mapCells]
+    .filter(([sprite]) => !isEmptySprite(gfxPixels, sprite, palt))
+    .map(([sprite, cells]) => ({ sprite, cells }));
 
-  const mapAsGfxDataLines = splitPICODataIntoLines(
-    mapAsGfxData,
-    PICO_SPRITE_WIDTH_PX,
-    PICO_SPRITE_DATA_NIBBLES
+  return { mapCells, conflicts };
+}
+
+// Transparent pixels are filled with `palt`, so a sprite of only that color
+// is as empty as one with no pixels at all
+function isEmptySprite(gfxPixels, sprite, palt) {
+  return getSpritePixels(gfxPixels, sprite).every(
+    (pixel) => pixel == null || pixel === palt
   );
+}
 
-  if (strategy === "map") {
-    console.warn(
-      '[info] Using "map" overlap strategy; map data will overwrite sprite data in the shared space.'
-    );
-    // We're only interested in the shared rows
-    const mapAsGfxDataLinesToInsert = mapAsGfxDataLines.slice(
-      PICO_SPRITE_SHARED_ROWS_FROM
-    );
+function describeSharedAreaConflicts(conflicts) {
+  return [
+    ...conflicts
+      .slice(0, MAX_REPORTED_CONFLICTS)
+      .map(
+        ({ sprite, cells }) =>
+          `  - sprite ${sprite} collides with map cell(s) ${cells
+            .map(({ x, y }) => `${x},${y}`)
+            .join(" ")}`
+      ),
+    ...(conflicts.length > MAX_REPORTED_CONFLICTS
+      ? [`  - ...and ${conflicts.length - MAX_REPORTED_CONFLICTS} more`]
+      : []),
+  ].join("\n");
+}
 
-    // Map data wins, so just copy it straight over the sprite data
-    gfxDataLinesOut.splice(
-      PICO_SPRITE_SHARED_ROWS_FROM,
-      mapAsGfxDataLinesToInsert.length,
-      ...mapAsGfxDataLinesToInsert
-    );
-  } else if (strategy === "sprite") {
-    console.warn(
-      '[info] Using "sprite" overlap strategy; map data will overwrite sprite data in the shared space.'
-    );
-    // Sprite data wins, so only copy over map data that comes after the end of
-    // the sprites
-    gfxDataLinesOut = gfxDataLinesOut.concat(
-      mapAsGfxDataLines.slice(gfxDataLinesOut.length)
+// The bottom 64 rows of pixels in the sprite sheet (gfx) is shared with the
+// bottom 32 rows of cells in the map, so any map cells there are merged into
+// the sprite pixels, then removed from the map.
+// Each sprite in the shared area is handled on its own, and a sprite conflicts
+// when it isn't empty and map cells are drawn into it. We have 4 strategies for
+// dealing with this:
+// 1. "error" strategy: Throw an error if both map & sprites use the shared area
+// 2. "merge" strategy: Throw an error if there are any conflicts
+// 3. "map" strategy: Conflicting sprites are overwritten with map data
+// 4. "sprite" strategy: Conflicting map cells are dropped
+function mergeSharedMapIntoGfxPixels(
+  ldtkFlatTiles,
+  gfxPixels,
+  strategy,
+  palt,
+  warnings
+) {
+  if (!["error", "merge", "map", "sprite"].includes(strategy)) {
+    throw new Error(`Unknown sprite/map merge strategy "${String(strategy)}"`);
+  }
+
+  const { mapCells, conflicts } = findSharedAreaConflicts(
+    ldtkFlatTiles,
+    gfxPixels,
+    palt
+  );
+
+  if (!mapCells.size) {
+    // Nothing to merge
+    return { flatTiles: ldtkFlatTiles, gfxPixels };
+  }
+
+  const sharedSpritesUsed = Array.from(
+    {
+      length:
+        PICO_SPRITE_WIDTH_CELLS * PICO_SPRITE_HEIGHT_CELLS -
+        PICO_SPRITE_SHARED_FROM,
+    },
+    (_, index) => PICO_SPRITE_SHARED_FROM + index
+  ).filter((sprite) => !isEmptySprite(gfxPixels, sprite, palt)).length;
+
+  if (strategy === "error" && sharedSpritesUsed) {
+    throw new Error(
+      `Overlap strategy "error" prevents merging shared map & sprite data: Sprite data uses ${sharedSpritesUsed} sprite(s) of the shared area, and Map data uses ${
+        mapCells.size
+      } sprite(s) worth of the shared area.${
+        conflicts.length
+          ? `\n${describeSharedAreaConflicts(conflicts)}`
+          : ' They don\'t collide, so can be combined with the "merge" overlap strategy.'
+      }`
     );
-  } else {
+  }
+
+  if (strategy === "merge" && conflicts.length) {
     throw new Error(
-      `Unknown sprite/map merge strategy "${strategy.toString()}"`
+      `Overlap strategy "merge" can't combine shared map & sprite data; ${
+        conflicts.length
+      } sprite(s) collide with map cells:\n${describeSharedAreaConflicts(
+        conflicts
+      )}`
     );
   }
 
-  // The remaining map data is everything before the shared area
-  // Then trimmed to remove trailing 0s
-  const mapDataLinesOut = trimMapDataLines(
-    mapDataLines.slice(0, PICO_MAP_SHARED_ROWS_FROM)
+  if (conflicts.length && strategy === "map") {
+    warnings.push({
+      type: "warn",
+      message: `Using "map" overlap strategy; map data overwrites ${
+        conflicts.length
+      } sprite(s) in the shared area:\n${describeSharedAreaConflicts(
+        conflicts
+      )}`,
+    });
+  } else if (conflicts.length && strategy === "sprite") {
+    warnings.push({
+      type: "warn",
+      message: `Using "sprite" overlap strategy; sprite data overwrites map cells in the shared area:\n${describeSharedAreaConflicts(
+        conflicts
+      )}`,
+    });
+  }
+
+  const conflictingSprites = new Set(conflicts.map(({ sprite }) => sprite));
+  const flatTiles = ldtkFlatTiles.slice(
+    0,
+    PICO_MAP_SHARED_ROWS_FROM * PICO_MAP_WIDTH_CELLS
+  );
+  const pixelsOut = [...gfxPixels];
+
+  for (let y = PICO_MAP_SHARED_ROWS_FROM; y < PICO_MAP_HEIGHT_CELLS; y++) {
+    for (let x = 0; x < PICO_MAP_WIDTH_CELLS; x++) {
+      const index = sharedMapCellPixelIndex(x, y);
+      const sprite = spriteAtPixelIndex(index);
+      if (
+        !mapCells.has(sprite) ||
+        (strategy === "sprite" && conflictingSprites.has(sprite))
+      ) {
+        // The sprite keeps its pixels
+        continue;
+      }
+      // The byte order is swapped for storage within the gfx data, so the
+      // low nibble is the left pixel
+      const tile = ldtkFlatTiles[y * PICO_MAP_WIDTH_CELLS + x] ?? 0;
+      pixelsOut[index] = tile & 0xf;
+      pixelsOut[index + 1] = tile >> 4;
+    }
+  }
+
+  return { flatTiles, gfxPixels: pixelsOut };
+}
+
+// Render the shared area of the map (drawn with its sprites) above the shared
+// area of the sprite sheet (scaled up to the same width), with sprites that
+// hold map data tinted blue, and conflicts tinted red.
+// Returns a Buffer of the PNG.
+function renderSharedAreaReport(ldtkFlatTiles, gfxPixels, pal, palt) {
+  const { mapCells, conflicts } = findSharedAreaConflicts(
+    ldtkFlatTiles,
+    gfxPixels,
+    palt
   );
+  const conflictingSprites = new Set(conflicts.map(({ sprite }) => sprite));
+  const conflictingCells = new Set(
+    conflicts.flatMap(({ cells }) => cells.map(({ x, y }) => `${x},${y}`))
+  );
+  const mapHeightPx = (PICO_MAP_HEIGHT_CELLS - PICO_MAP_SHARED_ROWS_FROM) * 8;
+  const scale = PICO_MAP_WIDTH_PX / PICO_SPRITE_WIDTH_PX;
+  const image = new jimp(
+    PICO_MAP_WIDTH_PX,
+    mapHeightPx +
+      (PICO_SPRITE_HEIGHT_PX - PICO_SPRITE_SHARED_ROWS_FROM) * scale,
+    0x000000ff
+  );
+
+  function setPixel(x, y, paletteNumber, tint) {
+    const { R, G, B } = pico8ColorToRgb(pal[paletteNumber ?? 0]);
+    const color = tint
+      ? [R, G, B].map((value, channel) => (value + tint[channel]) / 2)
+      : [R, G, B];
+    const index = (y * image.bitmap.width + x) * 4;
+    image.bitmap.data[index] = color[0];
+    image.bitmap.data[index + 1] = color[1];
+    image.bitmap.data[index + 2] = color[2];
+  }
+
+  for (let y = 0; y < mapHeightPx; y++) {
+    for (let x = 0; x < PICO_MAP_WIDTH_PX; x++) {
+      const cellX = Math.floor(x / 8);
+      const cellY = PICO_MAP_SHARED_ROWS_FROM + Math.floor(y / 8);
+      const tile = ldtkFlatTiles[cellY * PICO_MAP_WIDTH_CELLS + cellX];
+      if (!tile) {
+        continue;
+      }
+      setPixel(
+        x,
+        y,
+        gfxPixels[spritePixelIndex(tile, x % 8, y % 8)],
+        conflictingCells.has(`${cellX},${cellY}`) ? REPORT_CONFLICT_TINT : null
+      );
+    }
+  }
+
+  for (let y = mapHeightPx; y < image.bitmap.height; y++) {
+    for (let x = 0; x < PICO_MAP_WIDTH_PX; x++) {
+      const index =
+        (PICO_SPRITE_SHARED_ROWS_FROM + Math.floor((y - mapHeightPx) / scale)) *
+          PICO_SPRITE_WIDTH_PX +
+        Math.floor(x / scale);
+      const sprite = spriteAtPixelIndex(index);
+      setPixel(
+        x,
+        y,
+        gfxPixels[index],
+        conflictingSprites.has(sprite)
+          ? REPORT_CONFLICT_TINT
+          : mapCells.has(sprite)
+          ? REPORT_MAP_TINT
+          : null
+      );
+    }
+  }
 
-  gfxDataLinesOut = trimGfxDataLines(gfxDataLinesOut);
+  return image.getBufferAsync(jimp.MIME_PNG);
+}
 
-  return [gfxDataLinesOut, mapDataLinesOut];
+// Tileset paths are relative to the LDtk project
+function resolveLdtkTilesetPath(tileset, ldtkFilePath) {
+  return tileset?.relPath && ldtkFilePath
+    ? path.resolve(path.dirname(ldtkFilePath), tileset.relPath)
+    : undefined;
 }
 
-async function convertLdtkTilesetToPico8Gfx(
+async function loadLdtkTilesetPixels(
   tileset,
-  ldtkFilePath,
+  image,
   palt,
-  clipRect
+  pal,
+  colorMatch,
+  clipRect,
+  describeSprite,
+  warnings
 ) {
-  let gfxData = "";
-  if (tileset?.relPath) {
-    gfxData = arrayToHexString(
-      await imageToIndexedPico8(
-        path.resolve(path.dirname(ldtkFilePath), tileset.relPath),
-        palt,
-        clipRect
-      ),
-      PICO_SPRITE_DATA_NIBBLES,
-      0
+  if (!tileset?.relPath) {
+    return [];
+  }
+
+  if (!image) {
+    throw new Error(
+      `No image found for tileset "${tileset.identifier}"; provide one in the \`images\` option, or the path to the LDtk project.`
     );
   }
 
+  return imageToIndexedPico8(
+    image,
+    palt,
+    pal,
+    colorMatch,
+    clipRect,
+    describeSprite,
+    warnings
+  );
+}
+
+function convertPico8PixelsToGfxData(gfxPixels) {
+  let gfxData = arrayToHexString(gfxPixels, PICO_SPRITE_DATA_NIBBLES, 0);
+
   gfxData = clipGfxData(gfxData);
   gfxData = trimGfxData(gfxData);
 
@@ -353,124 +781,905 @@ async function convertLdtkTilesetToPico8Gfx(
   );
 }
 
-function writeP8Cart({ __gfx__, __gff__, __map__, __lua__ }) {
+function spritePixelIndex(sprite, x, y) {
+  return (
+    (Math.floor(sprite / PICO_SPRITE_WIDTH_CELLS) * 8 + y) *
+      PICO_SPRITE_WIDTH_PX +
+    (sprite % PICO_SPRITE_WIDTH_CELLS) * 8 +
+    x
+  );
+}
+
+// Returns the 64 pixels of a sprite, row by row
+function getSpritePixels(gfxPixels, sprite) {
+  const spritePixels = [];
+  for (let y = 0; y < 8; y++) {
+    for (let x = 0; x < 8; x++) {
+      spritePixels.push(gfxPixels[spritePixelIndex(sprite, x, y)]);
+    }
+  }
+  return spritePixels;
+}
+
+function setSpritePixels(gfxPixels, sprite, spritePixels) {
+  spritePixels.forEach((pixel, index) => {
+    gfxPixels[spritePixelIndex(sprite, index % 8, Math.floor(index / 8))] =
+      pixel;
+  });
+}
+
+function flipSpritePixels(spritePixels, flip) {
+  return spritePixels.map((_, index) => {
+    const x = index % 8;
+    const y = Math.floor(index / 8);
+    return spritePixels[
+      (flip & LDTK_FLIP_Y ? 7 - y : y) * 8 + (flip & LDTK_FLIP_X ? 7 - x : x)
+    ];
+  });
+}
+
+function isSameSprite(pixels1, pixels2) {
+  return pixels1.every(
+    (pixel, index) => (pixel ?? 0) === (pixels2[index] ?? 0)
+  );
+}
+
+function isSameSpriteFlags(flags1 = [], flags2 = []) {
+  return (
+    flags1.length === flags2.length &&
+    flags1.every((flag) => flags2.includes(flag))
+  );
+}
+
+// PICO-8 can't flip map cells, so every flipped tile in the flat map is
+// replaced with a sprite containing the flipped pixels. That's the original
+// sprite if it's symmetrical, or an identical existing sprite (with the same
+// flags) if there is one. Otherwise, the flipped pixels & flags are copied
+// into a free sprite; one that is fully transparent, has no flags, and isn't
+// used in the map. Sprite 0 is never used as PICO-8 treats it as empty.
+// Free sprites are used lowest first, so the shared area is only used once the
+// top half is full, and never the `mapSprites` whose space holds map cells.
+// Returns { flatTiles, gfxPixels, tilesetEnum } with the new sprites added.
+function resolveFlippedTiles(
+  ldtkFlatTiles,
+  gfxPixels,
+  ldtkTilesetEnum,
+  palt,
+  spriteCount,
+  mapSprites,
+  warnings
+) {
+  const flatTiles = [...ldtkFlatTiles];
+  const pixelsOut = [...gfxPixels];
+  const tilesetEnum = [...ldtkTilesetEnum];
+  const resolved = new Map();
+  const usedSprites = new Set();
+
+  flatTiles.forEach((tile) => {
+    usedSprites.add(tile & 0xff);
+  });
+
+  function isFreeSprite(sprite) {
+    return (
+      sprite !== 0 &&
+      !usedSprites.has(sprite) &&
+      !mapSprites.has(sprite) &&
+      !tilesetEnum[sprite]?.length &&
+      getSpritePixels(pixelsOut, sprite).every(
+        (pixel) => pixel == null || pixel === palt
+      )
+    );
+  }
+
+  function findFlippedSprite(sprite, flip) {
+    const flippedPixels = flipSpritePixels(
+      getSpritePixels(pixelsOut, sprite),
+      flip
+    );
+
+    for (let candidate = 0; candidate < spriteCount; candidate++) {
+      if (
+        isSameSprite(getSpritePixels(pixelsOut, candidate), flippedPixels) &&
+        isSameSpriteFlags(tilesetEnum[candidate], tilesetEnum[sprite])
+      ) {
+        return candidate;
+      }
+    }
+
+    for (let candidate = 1; candidate < spriteCount; candidate++) {
+      if (isFreeSprite(candidate)) {
+        setSpritePixels(pixelsOut, candidate, flippedPixels);
+        tilesetEnum[candidate] = [...(tilesetEnum[sprite] ?? [])];
+        usedSprites.add(candidate);
+        return candidate;
+      }
+    }
+
+    throw new Error(
+      `Cannot process flipped tiles; no free sprites left for the flipped copy of sprite ${sprite}. Free up some space in the sprite sheet or remove flipping from some tiles.`
+    );
+  }
+
+  flatTiles.forEach((tile, index) => {
+    const flip = tile >> FLAT_TILE_FLIP_SHIFT;
+    if (!flip) {
+      return;
+    }
+
+    const sprite = tile & 0xff;
+    const key = `${sprite}:${flip}`;
+    if (!resolved.has(key)) {
+      resolved.set(key, findFlippedSprite(sprite, flip));
+    }
+    flatTiles[index] = resolved.get(key);
+  });
+
+  if (resolved.size) {
+    warnings.push({
+      type: "info",
+      message: `Resolved ${resolved.size} flipped tile(s) into sprites: ${[
+        ...resolved,
+      ]
+        .map(([key, sprite]) => `${key.replace(":", " flip ")} -> ${sprite}`)
+        .join(", ")}`,
+    });
+  }
+
+  return { flatTiles, gfxPixels: pixelsOut, tilesetEnum };
+}
+
+// Only keep the sprites used by the map (plus any in `keepSprites`), packing
+// them toward the top of the sprite sheet so the shared bottom half is free
+// for map data. Pinned sprites (and sprite 0, an empty map cell) keep their
+// sprite number, with the rest filling in around them.
+// Returns the rewritten tiles, pixels & enum, and `spriteMap` of old => new
+// sprite numbers.
+function compactSprites(
+  ldtkFlatTiles,
+  gfxPixels,
+  ldtkTilesetEnum,
+  { keepSprites = [], pinnedSprites = [] },
+  spriteCount,
+  warnings
+) {
+  const pinned = new Set(pinnedSprites);
+  const used = new Set([...keepSprites, ...pinned]);
+  ldtkFlatTiles.forEach((tile) => {
+    if (tile != null) {
+      used.add(tile);
+    }
+  });
+
+  const spriteMap = new Map();
+  const taken = new Set([0, ...pinned]);
+  [...used]
+    .filter((sprite) => sprite === 0 || pinned.has(sprite))
+    .forEach((sprite) => spriteMap.set(sprite, sprite));
+
+  let nextSprite = 0;
+  [...used]
+    .filter((sprite) => !spriteMap.has(sprite))
+    .sort((a, b) => a - b)
+    .forEach((sprite) => {
+      while (taken.has(nextSprite)) {
+        nextSprite++;
+      }
+      spriteMap.set(sprite, nextSprite);
+      taken.add(nextSprite);
+    });
+
+  const pixelsOut = [];
+  const tilesetEnum = Array.from({ length: spriteCount }, () => []);
+  spriteMap.forEach((to, from) => {
+    setSpritePixels(pixelsOut, to, getSpritePixels(gfxPixels, from));
+    tilesetEnum[to] = ldtkTilesetEnum[from] ?? [];
+  });
+
+  const lastSprite = Math.max(0, ...spriteMap.values());
+  warnings.push({
+    type: "info",
+    message: `Compacted ${
+      spriteMap.size
+    } used sprite(s) into sprites 0-${lastSprite}${
+      lastSprite < PICO_SPRITE_SHARED_FROM
+        ? `; the shared area (sprites ${PICO_SPRITE_SHARED_FROM}-${
+            spriteCount - 1
+          }) is free for map data`
+        : ""
+    }.`,
+  });
+
+  return {
+    flatTiles: ldtkFlatTiles.map((tile) => tile && spriteMap.get(tile)),
+    gfxPixels: pixelsOut,
+    tilesetEnum,
+    spriteMap,
+  };
+}
+
+function writeP8Cart({ __gfx__, __gff__, __map__, __lua__, __label__ }) {
   const prefix = `pico-8 cartridge // http://www.pico-8.com
 version 41`;
 
   return [prefix]
     .concat(__lua__?.length ? ["__lua__", ...__lua__] : [])
     .concat(__gfx__?.length ? ["__gfx__", ...__gfx__] : [])
+    .concat(__label__?.length ? ["__label__", ...__label__] : [])
     .concat(__gff__?.length ? ["__gff__", ...__gff__] : [])
     .concat(__map__?.length ? ["__map__", ...__map__] : [])
     .join("\n");
 }
 
-function loadLdtkProject(ldtkFile) {
-  let ldtkData;
-  let ldtk;
+function loadP8Cart(cartFile) {
+  let cartData;
 
-  // Attempt to load the file
   try {
-    ldtkData = fs.readFileSync(ldtkFile);
+    cartData = fs.readFileSync(cartFile);
   } catch (error) {
     if (error.code === "ENOENT") {
-      throw new Error(`Cannot load file ${ldtkFile}`);
+      throw new Error(`Cannot load file ${cartFile}`);
     } else {
       throw error;
     }
   }
 
-  // Parse out the JSON
-  try {
-    ldtk = JSON.parse(ldtkData.toString());
-  } catch (error) {
-    throw new Error(`File is not valid JSON: ${ldtkFile}`);
-  }
-
-  return ldtk;
+  return parseP8Cart(cartData.toString(), cartFile);
 }
 
-function extractLdtkLevel(ldtk) {
-  if (ldtk.levels.length > 0) {
-    console.warn(
-      "[warn] Detected more than one level. Only the first level will be processed."
-    );
-  }
+// Split a .p8 cart into its header lines and each of its sections. Line
+// endings are remembered so the cart can be written back out unchanged.
+// See: https://pico-8.fandom.com/wiki/P8FileFormat
+function parseP8Cart(cartData, cartFile = "cart") {
+  const eol = cartData.includes("\r\n") ? "\r\n" : "\n";
+  const lines = cartData.split(eol);
+  const trailingEol = lines[lines.length - 1] === "";
 
-  const level = ldtk.levels[0];
+  if (trailingEol) {
+    lines.pop();
+  }
 
-  if (
-    level.pxWid > PICO_MAP_WIDTH_CELLS * 8 ||
-    level.pxHei > PICO_MAP_HEIGHT_CELLS * 8
-  ) {
-    console.warn(
-      `[warn] Level (${Math.ceil(level.pxWid / 8)}x${Math.ceil(
-        level.pxHei / 8
-      )}) will be clipped to the PICO-8 map (${PICO_MAP_WIDTH_CELLS}x${PICO_MAP_HEIGHT_CELLS}).`
-    );
+  if (!lines[0]?.startsWith("pico-8 cartridge")) {
+    throw new Error(`File is not a PICO-8 cart: ${cartFile}`);
   }
 
-  return level;
+  const cart = { eol, trailingEol, header: [], sections: [] };
+  let currentLines = cart.header;
+
+  lines.forEach((line) => {
+    if (/^__[a-z0-9]+__$/.test(line)) {
+      const section = { name: line, lines: [] };
+      cart.sections.push(section);
+      currentLines = section.lines;
+    } else {
+      currentLines.push(line);
+    }
+  });
+
+  return cart;
 }
 
-const layerFilters = {
-  Tiles: (layer) => layer.gridTiles.length > 0,
-  IntGrid: (layer) => layer.autoLayerTiles.length > 0,
-  Entities: (layer) => layer.entityInstances.length > 0,
-};
+function serializeP8Cart({ eol, trailingEol, header, sections }) {
+  return (
+    header
+      .concat(...sections.map(({ name, lines }) => [name, ...lines]))
+      .join(eol) + (trailingEol ? eol : "")
+  );
+}
 
-function extractLtdkTileset(ldtkLevel, ldtk) {
-  let tileset;
+// Replace the given sections of a parsed cart, leaving all others untouched.
+// An empty section is removed from the cart entirely, and a new section is
+// inserted where PICO-8 would have written it.
+function mergeP8CartSections(cart, sectionsToReplace) {
+  const sections = [...cart.sections];
 
-  function setTileset(tilesetUid) {
-    if (tilesetUid == null) {
-      return;
-    }
+  Object.entries(sectionsToReplace).forEach(([name, lines]) => {
+    const existingIndex = sections.findIndex(
+      (section) => section.name === name
+    );
 
-    if (tileset) {
-      if (tileset.uid === tilesetUid) {
-        // Nothing to do, this tileset is already loaded
-        return;
+    if (!lines?.length) {
+      if (existingIndex !== -1) {
+        sections.splice(existingIndex, 1);
       }
+      return;
+    }
 
-      // Can only have a single tileset in use!
-      throw new Error(
-        "Cannot use multiple tilesets. Use a single tileset (representing the entire PICO-8 sprite sheet) for all layers and entities."
-      );
+    if (existingIndex !== -1) {
+      sections[existingIndex] = { name, lines };
+      return;
     }
 
-    tileset = ldtk.defs.tilesets.find(({ uid }) => uid === tilesetUid);
+    const order = P8_SECTION_ORDER.indexOf(name);
+    const insertBefore = sections.findIndex(
+      (section) => P8_SECTION_ORDER.indexOf(section.name) > order
+    );
+    sections.splice(insertBefore === -1 ? sections.length : insertBefore, 0, {
+      name,
+      lines,
+    });
+  });
 
-    if (tileset.tileGridSize !== 8) {
-      throw new Error(
-        "Tileset must have an 8px grid size for compatibility with PICO-8"
-      );
+  return { ...cart, sections };
+}
+
+function loadLdtkProject(ldtkFile) {
+  let ldtkData;
+  let ldtk;
+
+  // Attempt to load the file
+  try {
+    ldtkData = fs.readFileSync(ldtkFile);
+  } catch (error) {
+    if (error.code === "ENOENT") {
+      throw new Error(`Cannot load file ${ldtkFile}`);
+    } else {
+      throw error;
     }
   }
 
-  ldtkLevel.layerInstances
+  // Parse out the JSON
+  try {
+    ldtk = JSON.parse(ldtkData.toString());
+  } catch (error) {
+    throw new Error(`File is not valid JSON: ${ldtkFile}`);
+  }
+
+  return ldtk;
+}
+
+const isString = (value) => typeof value === "string";
+const isInteger = (value) => Number.isInteger(value);
+const isArrayOf = (isValid) => (value) =>
+  Array.isArray(value) && value.every(isValid);
+const isPaletteNumber = (value) => isInteger(value) && value >= 0 && value < 16;
+// Sprite 0 is what an empty map cell refers to, so can't be pinned
+const isPinnableSprite = (value) =>
+  isInteger(value) &&
+  value > 0 &&
+  value < PICO_SPRITE_WIDTH_CELLS * PICO_SPRITE_HEIGHT_CELLS;
+const isObjectOf = (isValid) => (value) =>
+  value != null &&
+  typeof value === "object" &&
+  !Array.isArray(value) &&
+  Object.values(value).every(isValid);
+const isCellRect = (value) =>
+  isString(value) && /^\d+,\d+,\d+,\d+$/.test(value);
+const oneOf = (...choices) => [
+  (value) => choices.includes(value),
+  `one of ${choices.map((choice) => `"${choice}"`).join(", ")}`,
+];
+
+// The options a config file may set (named as for `convertProject()`), with a
+// check of each value and a description of what's expected. File paths are
+// relative to the config file.
+const CONFIG_OPTIONS = {
+  output: [isString, "a file path"],
+  into: [isString, "a file path"],
+  levelsLua: [isString, "a file path"],
+  lua: oneOf("none", "viewer", "template"),
+  luaTemplate: [isString, "a file path"],
+  preview: [isString, "a file path"],
+  overlapReport: [isString, "a file path"],
+  levels: [isArrayOf(isString), "an array of level identifiers"],
+  levelLayout: oneOf("world", "pack"),
+  entities: oneOf("map", "lua", "both"),
+  overlapStrategy: oneOf("error", "merge", "sprite", "map"),
+  colorMatch: oneOf("strict", "nearest", "dither"),
+  mapOutput: oneOf("map", "lua"),
+  extendedMap: [
+    (value) =>
+      value === true ||
+      (isInteger(value) &&
+        value > 0 &&
+        value <= PICO_EXTENDED_MAP_MAX_WIDTH_CELLS),
+    `true, or a width in cells (1-${PICO_EXTENDED_MAP_MAX_WIDTH_CELLS})`,
+  ],
+  pal: [isArrayOf(isInteger), "an array of PICO-8 color numbers"],
+  palt: [isPaletteNumber, "a PICO-8 color number (0-15)"],
+  intGrid: [
+    isObjectOf(isString),
+    'an object of IntGrid layer modes (eg; { "Collisions": "flags" })',
+  ],
+  layerRegions: [
+    isObjectOf(isString),
+    'an object of layer map regions (eg; { "Background": "0,16,128,16" })',
+  ],
+  label: [
+    (value) => value === true || /^\d+,\d+$/.test(value),
+    'true, or "x,y" in cells',
+  ],
+  compact: [(value) => typeof value === "boolean", "true or false"],
+  pin: [isArrayOf(isPinnableSprite), "an array of sprite numbers (1-255)"],
+  spriteArea: [isCellRect, '"x,y,width,height" in sprites'],
+  mapArea: [isCellRect, '"x,y,width,height" in cells'],
+};
+
+/**
+ * Load export options from a config file (usually `ldtk-pico8.config.json`);
+ * a JSON object of any `convertProject()` options, plus the `output`, `into`,
+ * `levelsLua`, `lua`, `luaTemplate`, `preview` & `overlapReport` (a file path)
+ * options of the CLI.
+ *
+ * Every unknown option and invalid value is reported in a single error.
+ */
+function loadConfig(configFile) {
+  let configData;
+  let config;
+
+  try {
+    configData = fs.readFileSync(configFile);
+  } catch (error) {
+    if (error.code === "ENOENT") {
+      throw new Error(`Cannot load file ${configFile}`);
+    } else {
+      throw error;
+    }
+  }
+
+  try {
+    config = JSON.parse(configData.toString());
+  } catch (error) {
+    throw new Error(`File is not valid JSON: ${configFile}`);
+  }
+
+  if (config == null || typeof config !== "object" || Array.isArray(config)) {
+    throw new Error(
+      `Config file must contain an object of options: ${configFile}`
+    );
+  }
+
+  const problems = Object.entries(config)
+    .map(([option, value]) => {
+      if (!Object.hasOwn(CONFIG_OPTIONS, option)) {
+        return `Unknown option "${option}"; use one of ${Object.keys(
+          CONFIG_OPTIONS
+        ).join(", ")}`;
+      }
+      const [isValid, expected] = CONFIG_OPTIONS[option];
+      return isValid(value)
+        ? null
+        : `"${option}" must be ${expected}, not ${JSON.stringify(value)}`;
+    })
+    .filter(Boolean);
+
+  if (problems.length) {
+    throw new Error(
+      `Invalid config file ${configFile}:\n${problems
+        .map((problem) => `  - ${problem}`)
+        .join("\n")}`
+    );
+  }
+
+  return config;
+}
+
+function extractLdtkLevels(ldtk) {
+  if (!ldtk.levels?.length) {
+    throw new Error("LDtk project does not contain any levels");
+  }
+
+  return ldtk.levels;
+}
+
+// Only export the levels with the given identifiers (in project order)
+function selectLdtkLevels(ldtkLevels, identifiers) {
+  if (!identifiers) {
+    return ldtkLevels;
+  }
+
+  const missing = identifiers.filter(
+    (identifier) => !ldtkLevels.some((level) => level.identifier === identifier)
+  );
+  if (missing.length) {
+    throw new Error(
+      `No level named ${missing
+        .map((identifier) => `"${identifier}"`)
+        .join(", ")} to export; the project has ${ldtkLevels
+        .map(({ identifier }) => `"${identifier}"`)
+        .join(", ")}`
+    );
+  }
+
+  return ldtkLevels.filter(({ identifier }) =>
+    identifiers.includes(identifier)
+  );
+}
+
+// Parse an "x,y,width,height" rect in cells, which must fit within the
+// `bounds` (in cells) of the sprite sheet or map
+function parseCellRect(rect, name, bounds) {
+  const [x, y, width, height] = String(rect).split(",").map(Number);
+  if (
+    ![x, y, width, height].every(Number.isInteger) ||
+    x < 0 ||
+    y < 0 ||
+    width <= 0 ||
+    height <= 0 ||
+    x + width > bounds.width ||
+    y + height > bounds.height
+  ) {
+    throw new Error(
+      `Invalid ${name} "${rect}"; use "x,y,width,height" in cells within ${bounds.width}x${bounds.height}.`
+    );
+  }
+  return { x, y, width, height };
+}
+
+function rectsOverlap(r1, r2) {
+  return (
+    r1.x < r2.x + r2.width &&
+    r2.x < r1.x + r1.width &&
+    r1.y < r2.y + r2.height &&
+    r2.y < r1.y + r1.height
+  );
+}
+
+// Place levels left-to-right in rows ("shelves"), tallest first, starting a
+// new row whenever the next level won't fit in the remaining width.
+function packLdtkLevels(levelRects, mapWidth) {
+  let shelfX = 0;
+  let shelfY = 0;
+  let shelfHeight = 0;
+
+  return [...levelRects]
+    .sort((a, b) => b.height - a.height)
+    .map((rect) => {
+      if (shelfX > 0 && shelfX + rect.width > mapWidth) {
+        shelfX = 0;
+        shelfY += shelfHeight;
+        shelfHeight = 0;
+      }
+
+      const packed = { ...rect, x: shelfX, y: shelfY };
+      shelfX += rect.width;
+      shelfHeight = Math.max(shelfHeight, rect.height);
+      return packed;
+    });
+}
+
+// Use the position of each level in LDtk's world view. The top-left of the
+// world is placed at the top-left of the PICO-8 map.
+function positionLdtkLevelsInWorld(levelRects, worldLayout, warnings) {
+  if (worldLayout === "LinearHorizontal" || worldLayout === "LinearVertical") {
+    // LDtk doesn't give linear levels a world position, so lay them out
+    // one after the other in the same direction as the editor.
+    let offset = 0;
+    return levelRects.map((rect) => {
+      const positioned =
+        worldLayout === "LinearHorizontal"
+          ? { ...rect, x: offset, y: 0 }
+          : { ...rect, x: 0, y: offset };
+      offset += worldLayout === "LinearHorizontal" ? rect.width : rect.height;
+      return positioned;
+    });
+  }
+
+  const worldX = Math.min(...levelRects.map(({ level }) => level.worldX));
+  const worldY = Math.min(...levelRects.map(({ level }) => level.worldY));
+
+  return levelRects.map((rect) => {
+    const { level } = rect;
+    if (
+      (level.worldX - worldX) % 8 !== 0 ||
+      (level.worldY - worldY) % 8 !== 0
+    ) {
+      warnings.push({
+        type: "warn",
+        message: `Level "${level.identifier}" is not aligned to the 8px PICO-8 map grid; it will be snapped to the nearest cell up and to the left.`,
+      });
+    }
+    return {
+      ...rect,
+      x: Math.floor((level.worldX - worldX) / 8),
+      y: Math.floor((level.worldY - worldY) / 8),
+    };
+  });
+}
+
+// Figure out where in the PICO-8 map each level will be placed, within the
+// `mapRect` area of the map (in cells).
+// Returns [{ level, x, y, width, height }] where the rect is in map cells.
+// A single level larger than the area is clipped (with a warning), but when
+// there are multiple levels, any that overlap or don't fit will cause an error
+// listing every problem found.
+// Levels exported as Lua strings aren't placed in the PICO-8 map, so they can
+// be any size; each is stored in its own block of the flat tiles instead (see
+// levelCellIndex).
+function placeLdtkLevelsForLua(ldtkLevels) {
+  let offset = 0;
+  return ldtkLevels.map((level) => {
+    const width = Math.ceil(level.pxWid / 8);
+    const height = Math.ceil(level.pxHei / 8);
+    const placement = { level, x: 0, y: 0, width, height, offset };
+    offset += width * height;
+    return placement;
+  });
+}
+
+function layoutLdtkLevels(
+  ldtkLevels,
+  worldLayout,
+  strategy,
+  mapRect,
+  mapBounds,
+  warnings
+) {
+  const levelRects = ldtkLevels.map((level) => ({
+    level,
+    x: 0,
+    y: 0,
+    width: Math.ceil(level.pxWid / 8),
+    height: Math.ceil(level.pxHei / 8),
+  }));
+
+  let placements;
+  if (strategy === "world") {
+    placements = positionLdtkLevelsInWorld(levelRects, worldLayout, warnings);
+  } else if (strategy === "pack") {
+    placements = packLdtkLevels(levelRects, mapRect.width);
+  } else {
+    throw new Error(`Unknown level layout strategy "${strategy.toString()}"`);
+  }
+  placements = placements.map((placement) => ({
+    ...placement,
+    x: mapRect.x + placement.x,
+    y: mapRect.y + placement.y,
+  }));
+  const area =
+    mapRect.width === mapBounds.width && mapRect.height === mapBounds.height
+      ? `the PICO-8 map (${mapBounds.width}x${mapBounds.height})`
+      : `the map area (${mapRect.width}x${mapRect.height} at ${mapRect.x},${mapRect.y})`;
+
+  const problems = [];
+  const describe = ({ level, x, y, width, height }) =>
+    `"${level.identifier}" (${width}x${height} at ${x},${y})`;
+
+  placements.forEach((placement, index) => {
+    if (
+      placement.x + placement.width > mapRect.x + mapRect.width ||
+      placement.y + placement.height > mapRect.y + mapRect.height
+    ) {
+      if (placements.length === 1) {
+        warnings.push({
+          type: "warn",
+          message: `Level (${placement.width}x${placement.height}) will be clipped to ${area}.`,
+        });
+      } else {
+        problems.push(`Level ${describe(placement)} falls outside ${area}.`);
+      }
+    }
+
+    placements.slice(index + 1).forEach((other) => {
+      if (rectsOverlap(placement, other)) {
+        problems.push(
+          `Level ${describe(placement)} collides with level ${describe(other)}.`
+        );
+      }
+    });
+  });
+
+  if (problems.length) {
+    throw new Error(
+      `Cannot fit levels into the PICO-8 map:\n${problems
+        .map((problem) => `  - ${problem}`)
+        .join("\n")}`
+    );
+  }
+
+  // Restore the original level order
+  return ldtkLevels.map((level) =>
+    placements.find((placement) => placement.level === level)
+  );
+}
+
+const layerFilters = {
+  Tiles: (layer) => layer.gridTiles.length > 0,
+  IntGrid: (layer) => layer.autoLayerTiles.length > 0,
+  Entities: (layer) => layer.entityInstances.length > 0,
+};
+
+// Returns the tilesets used by the levels' layers and entities (in the order
+// they're defined in the project), each with the IDs of the tiles used from it:
+// [{ tileset, tileIds: [0, 3, 4] }]
+function extractLtdkTilesets(
+  ldtkLevels,
+  ldtk,
+  { stampEntities = true } = {},
+  warnings
+) {
+  const usedTileIds = new Map();
+
+  function useTile(tilesetUid, x, y) {
+    if (tilesetUid == null) {
+      return;
+    }
+
+    const tileset = ldtk.defs.tilesets.find(({ uid }) => uid === tilesetUid);
+
+    if (!usedTileIds.has(tileset)) {
+      usedTileIds.set(tileset, new Set());
+    }
+    usedTileIds.get(tileset).add(ldtkTileIdAt(tileset, x, y));
+  }
+
+  ldtkLevels
+    .flatMap((ldtkLevel) => ldtkLevel.layerInstances)
     .filter((layer) => layer.visible)
     .filter((layer) => {
-      return (layerFilters[layer.__type] ?? defaultLayerFilter)(layer);
+      return (layerFilters[layer.__type] ?? defaultLayerFilter)(
+        layer,
+        warnings
+      );
     })
     .forEach((layer) => {
       if (layer.__type === "Tiles" || layer.__type === "IntGrid") {
-        setTileset(layer.__tilesetDefUid);
+        (
+          (layer.__type === "Tiles" ? layer.gridTiles : layer.autoLayerTiles) ??
+          []
+        ).forEach((gridTile) => {
+          useTile(layer.__tilesetDefUid, gridTile.src[0], gridTile.src[1]);
+        });
       } else if (layer.__type == "Entities") {
         layer.entityInstances
-          .filter(({ __tile }) => !!__tile)
+          .filter(({ __tile }) => stampEntities && !!__tile)
           .forEach((entity) => {
-            setTileset(entity.__tile.tilesetUid);
+            useTile(entity.__tile.tilesetUid, entity.__tile.x, entity.__tile.y);
           });
       } else {
-        defaultLayerProcessor(layer);
+        defaultLayerProcessor(layer, warnings);
       }
     });
 
-  return tileset;
+  // Tile fields often point at icon tilesets which aren't meant for PICO-8, so
+  // they only use tiles of tilesets the layers have already pulled in
+  const unexportedTilesets = new Set();
+  extractLdtkTileFieldValues(ldtkLevels).forEach((tile) => {
+    const tileset = ldtk.defs.tilesets.find(
+      ({ uid }) => uid === tile.tilesetUid
+    );
+    if (usedTileIds.has(tileset)) {
+      useTile(tile.tilesetUid, tile.x, tile.y);
+    } else if (tileset) {
+      unexportedTilesets.add(tileset.identifier);
+    }
+  });
+  unexportedTilesets.forEach((identifier) => {
+    warnings.push({
+      type: "warn",
+      message: `Tile fields use tileset "${identifier}", which isn't exported; they'll be nil.`,
+    });
+  });
+
+  // Pinned tiles are kept even when nothing uses them, and every frame of a
+  // used animation is needed to animate it
+  ldtk.defs.tilesets
+    .filter((tileset) => usedTileIds.has(tileset))
+    .forEach((tileset) => {
+      const tileIds = usedTileIds.get(tileset);
+      extractLtdkPinnedTileIds(tileset).forEach((tileId) => {
+        tileIds.add(tileId);
+      });
+      (tileset.customData ?? [])
+        .map(({ data }) => parseLdtkTileAnimation(data))
+        .filter(
+          (animation) =>
+            animation &&
+            animation.tileIds.some((frameTileId) => tileIds.has(frameTileId)) &&
+            animation.tileIds.every(
+              (frameTileId) => frameTileId < tileset.__cWid * tileset.__cHei
+            )
+        )
+        .forEach((animation) => {
+          animation.tileIds.forEach((frameTileId) => tileIds.add(frameTileId));
+        });
+    });
+
+  return ldtk.defs.tilesets
+    .filter((tileset) => usedTileIds.has(tileset))
+    .map((tileset) => ({
+      tileset,
+      tileIds: [...usedTileIds.get(tileset)].sort((a, b) => a - b),
+    }));
+}
+
+// When there's a single tileset it *is* the PICO-8 sprite sheet, so tiles
+// keep their position (and sprite number). Returns the sprite number for a
+// tile at x,y (in px) of the tileset, or undefined if it's outside the sheet.
+function createSpriteSheetLookup(spriteClipRect) {
+  return (tilesetUid, x, y) => {
+    if (
+      x < spriteClipRect.x ||
+      x >= spriteClipRect.x + spriteClipRect.width ||
+      y < spriteClipRect.y ||
+      y >= spriteClipRect.y + spriteClipRect.height
+    ) {
+      return undefined;
+    }
+    return Math.floor(y / 8) * PICO_SPRITE_WIDTH_CELLS + Math.floor(x / 8);
+  };
+}
+
+// With multiple tilesets, only the tiles which are actually used get packed
+// into the `availableSprites` of the sprite sheet, one tileset after another.
+// Sprite 0 is never available as that's what an empty map cell refers to.
+// Returns `sprites` (sprite number => { tileset, tileId }) and a lookup from a
+// tile at x,y (in px) of a tileset to its sprite number.
+function packLdtkTilesets(usedTilesets, availableSprites, warnings) {
+  const sprites = [];
+  const spriteNumbers = new Map();
+  const tileCount = usedTilesets.reduce(
+    (count, { tileIds }) => count + tileIds.length,
+    0
+  );
+
+  if (tileCount > availableSprites.length) {
+    throw new Error(
+      `Cannot fit ${tileCount} tiles from ${usedTilesets.length} tilesets into the PICO-8 sprite sheet (${availableSprites.length} sprites available).`
+    );
+  }
+
+  usedTilesets.forEach(({ tileset, tileIds }) => {
+    tileIds.forEach((tileId) => {
+      const sprite = availableSprites[spriteNumbers.size];
+      spriteNumbers.set(`${tileset.uid}:${tileId}`, sprite);
+      sprites[sprite] = { tileset, tileId };
+    });
+  });
+
+  const usage = usedTilesets
+    .filter(({ tileIds }) => tileIds.length > 0)
+    .map(({ tileset, tileIds }) => {
+      const first = spriteNumbers.get(`${tileset.uid}:${tileIds[0]}`);
+      const last = spriteNumbers.get(
+        `${tileset.uid}:${tileIds[tileIds.length - 1]}`
+      );
+      return `${first === last ? first : `${first}-${last}`} from "${
+        tileset.identifier
+      }"`;
+    });
+
+  warnings.push({
+    type: "info",
+    message: `Packed ${
+      usedTilesets.length
+    } tilesets into the sprite sheet: ${usage.join(", ")}; ${
+      availableSprites.length - tileCount
+    } sprites free.`,
+  });
+
+  return {
+    sprites,
+    spriteLookup: (tilesetUid, x, y) => {
+      const tileset = usedTilesets.find(
+        ({ tileset }) => tileset.uid === tilesetUid
+      )?.tileset;
+      return (
+        tileset &&
+        spriteNumbers.get(`${tilesetUid}:${ldtkTileIdAt(tileset, x, y)}`)
+      );
+    },
+  };
 }
 
-function extractLdtkFlatTiles(ldtkLevel, mapClipRect, spriteClipRect) {
+// mapRect is the area of the PICO-8 map (in px) the level is drawn into; the
+// level's top-left is placed at mapRect.x,mapRect.y, and anything beyond
+// mapRect.width/mapRect.height is clipped.
+// spriteLookup returns the sprite number for a tile of a tileset (see
+// createSpriteSheetLookup and packLdtkTilesets).
+// Entities are stamped into the map using their "Editor visual" tile unless
+// `stampEntities` is false. Only layers passing `includeLayer` are drawn.
+// `mapWidth` (in cells) is the width of the map being drawn into.
+function extractLdtkFlatTiles(
+  ldtkLevel,
+  mapRect,
+  spriteLookup,
+  {
+    stampEntities = true,
+    includeLayer = () => true,
+    mapWidth = PICO_MAP_WIDTH_CELLS,
+  } = {},
+  warnings
+) {
   let map = [];
   let spriteOutOfBounds = false;
   let mapOutOfBounds = false;
@@ -481,333 +1690,2865 @@ function extractLdtkFlatTiles(ldtkLevel, mapClipRect, spriteClipRect) {
     return Math.floor(y / scale) * width + Math.floor(x / scale);
   }
 
-  function setMapValue(mapX, mapY, spriteX, spriteY) {
+  function setMapValue(levelX, levelY, tilesetUid, tileX, tileY, flip = 0) {
     // If it's out of bounds, we just skip it
     if (
-      mapX < mapClipRect.x ||
-      mapX >= mapClipRect.x + mapClipRect.width ||
-      mapY < mapClipRect.y ||
-      mapY >= mapClipRect.y + mapClipRect.height
+      levelX < 0 ||
+      levelX >= mapRect.width ||
+      levelY < 0 ||
+      levelY >= mapRect.height
     ) {
       mapOutOfBounds = true;
       return;
     }
-    if (
-      spriteX < spriteClipRect.x ||
-      spriteX >= spriteClipRect.x + spriteClipRect.width ||
-      spriteY < spriteClipRect.y ||
-      spriteY >= spriteClipRect.y + spriteClipRect.height
-    ) {
+
+    const spriteIndex = spriteLookup(tilesetUid, tileX, tileY);
+    if (spriteIndex == null) {
       spriteOutOfBounds = true;
       return;
     }
 
-    const spriteIndex = coordToIndex(
-      spriteX,
-      spriteY,
-      PICO_SPRITE_WIDTH_CELLS,
-      8
-    );
-    map[coordToIndex(mapX, mapY, PICO_MAP_WIDTH_CELLS, 8)] = spriteIndex;
+    map[coordToIndex(mapRect.x + levelX, mapRect.y + levelY, mapWidth, 8)] =
+      spriteIndex | (flip << FLAT_TILE_FLIP_SHIFT);
 
     return true;
   }
 
   ldtkLevel.layerInstances
-    .filter((layer) => layer.visible)
+    .filter((layer) => layer.visible && includeLayer(layer))
     .filter((layer) => {
-      return (layerFilters[layer.__type] ?? defaultLayerFilter)(layer);
+      return (layerFilters[layer.__type] ?? defaultLayerFilter)(
+        layer,
+        warnings
+      );
     })
     // LDtk orders layers visually (top one wins), but we want to process them
     // logically (last one wins), so we reverse them.
     .reverse()
     .forEach((layer) => {
       if (layer.__type === "Tiles" || layer.__type === "IntGrid") {
-        (layer.autoLayerTiles ?? layer.gridTiles ?? []).forEach((gridTile) => {
-          if (gridTile.f !== 0) {
-            throw new Error(
-              `Cannot process flipped tiles in layer "${layer.__identifier}". Ensure there are no rules with flipping enabled.`
-            );
-          }
-
-          // Set the map value based on the tile this entity references
+        (
+          (layer.__type === "Tiles" ? layer.gridTiles : layer.autoLayerTiles) ??
+          []
+        ).forEach((gridTile) => {
+          // Set the map value based on the tile this entity references.
+          // Flipped tiles are resolved into sprites later.
           setMapValue(
-            gridTile.px[0],
-            gridTile.px[1],
+            gridTile.px[0] + (layer.__pxTotalOffsetX ?? 0),
+            gridTile.px[1] + (layer.__pxTotalOffsetY ?? 0),
+            layer.__tilesetDefUid,
             gridTile.src[0],
-            gridTile.src[1]
+            gridTile.src[1],
+            gridTile.f
           );
         });
       } else if (layer.__type === "Entities") {
         layer.entityInstances
-          .filter(({ __tile }) => !!__tile)
+          .filter(({ __tile }) => stampEntities && !!__tile)
           .forEach((entity) => {
             // Set the map value based on the tile this entity references
             setMapValue(
-              entity.px[0],
-              entity.px[1],
+              entity.px[0] + (layer.__pxTotalOffsetX ?? 0),
+              entity.px[1] + (layer.__pxTotalOffsetY ?? 0),
+              entity.__tile.tilesetUid,
               entity.__tile.x,
               entity.__tile.y
             );
           });
       } else {
-        defaultLayerProcessor(layer);
+        defaultLayerProcessor(layer, warnings);
       }
     });
 
   if (mapOutOfBounds) {
-    console.warn(
-      `[warn] Layer will be clipped to (${mapClipRect.width}x${mapClipRect.height}).`
-    );
+    warnings.push({
+      type: "warn",
+      message: `Level "${ldtkLevel.identifier}" layer will be clipped to (${mapRect.width}x${mapRect.height}).`,
+    });
   }
 
   if (spriteOutOfBounds) {
-    console.warn(
-      `[warn] Layer tile sits outside PICO-8 sprite area (${spriteClipRect.width}x${spriteClipRect.height}).`
-    );
+    warnings.push({
+      type: "warn",
+      message: `Level "${ldtkLevel.identifier}" layer tile sits outside PICO-8 sprite area (${PICO_SPRITE_WIDTH_PX}x${PICO_SPRITE_HEIGHT_PX}).`,
+    });
   }
 
   return map;
 }
 
-function extractLtdkPalTField(ldtkLevel) {
-  return ldtkLevel.fieldInstances.find(
-    ({ __identifier, __type }) =>
-      __identifier === LDTK_PALT_FIELD && __type == "Int"
-  )?.__value;
-}
+// Layers can be routed into their own rectangle of the PICO-8 map (in cells),
+// either by identifier: { Background: "0,16,128,16" } (the width & height
+// default to the rest of the map), or by naming the layer with an "_at_x_y"
+// suffix, eg; "Background_at_0_16".
+// `mapBounds` is the { width, height } of the map (in cells).
+// Returns a Map of layer identifier => { x, y, width, height }
+function parseLdtkLayerRegions(ldtk, layerRegions = {}, mapBounds) {
+  const regions = new Map();
 
-function convertLdtkFlatTilesToP8MapData(ldtkFlatTiles) {
-  // The cell numbers referenced are based on the LDtk tileset, not the PICO-8
-  // sprite, which could be different sizes, so we remap the tilenumbers
-  let mapData = arrayToHexString(ldtkFlatTiles, PICO_MAP_DATA_NIBBLES, 0);
-  mapData = trimMapData(mapData);
-  return splitPICODataIntoLines(
-    mapData,
-    PICO_MAP_WIDTH_CELLS,
-    PICO_MAP_DATA_NIBBLES
-  );
+  function setRegion(identifier, x, y, width, height) {
+    if (x < 0 || y < 0 || x >= mapBounds.width || y >= mapBounds.height) {
+      throw new Error(
+        `Map region for layer "${identifier}" must start within the PICO-8 map (${mapBounds.width}x${mapBounds.height})`
+      );
+    }
+    regions.set(identifier, {
+      x,
+      y,
+      width: Math.min(width ?? Infinity, mapBounds.width - x),
+      height: Math.min(height ?? Infinity, mapBounds.height - y),
+    });
+  }
+
+  ldtk.defs.layers.forEach(({ identifier }) => {
+    const [, x, y] = identifier.match(/_at_(\d+)_(\d+)$/) ?? [];
+    if (x != null) {
+      setRegion(identifier, Number(x), Number(y));
+    }
+  });
+
+  Object.entries(layerRegions).forEach(([identifier, region]) => {
+    const [x, y, width, height] = String(region).split(",").map(Number);
+    if ([x, y, width ?? 0, height ?? 0].some(Number.isNaN)) {
+      throw new Error(
+        `Invalid map region "${region}" for layer "${identifier}"; use "x,y" or "x,y,width,height" in cells.`
+      );
+    }
+    if (!ldtk.defs.layers.some((layer) => layer.identifier === identifier)) {
+      throw new Error(`No layer named "${identifier}" to route into the map`);
+    }
+    setRegion(identifier, x, y, width, height);
+  });
+
+  return regions;
 }
 
-// r1 = { x, y, width, height }
-// r2 = { x, y, width, height }
-// If any are not specified, it means "Use the other rect's value"
-// return { x1, y1, x2, y2, width, height }
-function intersectRects(
-  {
-    x: r1x = -Infinity,
-    y: r1y = -Infinity,
-    width: r1width = Infinity,
-    height: r1height = Infinity,
-  } = {},
-  {
-    x: r2x = -Infinity,
-    y: r2y = -Infinity,
-    width: r2width = Infinity,
-    height: r2height = Infinity,
-  } = {}
-) {
-  if (r1width === Infinity && r2width === Infinity) {
-    throw new Error("At least one rect must specify a width");
-  }
-  if (r1height === Infinity && r2height === Infinity) {
-    throw new Error("At least one rect must specify a height");
+// The order to draw each area of the map (bottom layer first) when layers are
+// routed into their own regions. Layers which aren't routed are drawn together
+// from the area the levels are placed in (`mapRect`).
+function orderLdtkLayerRegions(ldtk, regions, levelPlacements, mapRect) {
+  if (!regions.size) {
+    return [];
+  }
+
+  const levelsRect = {
+    identifier: null,
+    x: mapRect.x,
+    y: mapRect.y,
+    width: Math.min(
+      mapRect.width,
+      Math.max(0, ...levelPlacements.map(({ x, width }) => x + width)) -
+        mapRect.x
+    ),
+    height: Math.min(
+      mapRect.height,
+      Math.max(0, ...levelPlacements.map(({ y, height }) => y + height)) -
+        mapRect.y
+    ),
+  };
+  const identifiers = [];
+  // LDtk orders layers visually (top one first)
+  [...ldtk.defs.layers].reverse().forEach(({ identifier }) => {
+    const key = regions.has(identifier) ? identifier : null;
+    if (!identifiers.includes(key)) {
+      identifiers.push(key);
+    }
+  });
+
+  // Regions only need drawing as far as the levels drawn into them reach
+  return identifiers.map((identifier) => {
+    if (identifier == null) {
+      return levelsRect;
+    }
+    const region = regions.get(identifier);
+    return {
+      ...region,
+      identifier,
+      width: Math.min(region.width, levelsRect.width),
+      height: Math.min(region.height, levelsRect.height),
+    };
+  });
+}
+
+// Check the project is set up so it can be exported to PICO-8 (see "Manual
+// setup" in the README), reporting every layer, entity, and tileset which
+// isn't. Anything which would misplace tiles is thrown as a single error, the
+// rest are warnings.
+function validateLdtkProject(ldtkLevels, ldtk, intGridIdentifiers, warnings) {
+  const errors = new Set();
+  const problems = new Set();
+  const tilesetUids = new Set();
+
+  ldtkLevels.forEach((ldtkLevel) => {
+    ldtkLevel.layerInstances
+      .filter((layer) => layer.visible)
+      .forEach((layer) => {
+        const name = `Layer "${layer.__identifier}" of level "${ldtkLevel.identifier}"`;
+        const offsetX = layer.__pxTotalOffsetX ?? 0;
+        const offsetY = layer.__pxTotalOffsetY ?? 0;
+        const layerDef = ldtk.defs.layers.find(
+          ({ uid }) => uid === layer.layerDefUid
+        );
+        // IntGrid layers which only hold values (eg; for game logic) are
+        // neither drawn nor exported, so can use any grid size
+        const isDrawn =
+          (layer.__type === "Tiles" || layer.__type === "IntGrid") &&
+          layerFilters[layer.__type](layer);
+        const isExported =
+          layer.__type === "IntGrid" &&
+          intGridIdentifiers.includes(layer.__identifier);
+
+        if ((isDrawn || isExported) && layer.__gridSize % 8) {
+          errors.add(
+            `${name} has a ${layer.__gridSize}px grid size; it must be a multiple of 8px`
+          );
+        }
+
+        if (offsetX % 8 || offsetY % 8) {
+          errors.add(
+            `${name} is offset by ${offsetX},${offsetY}px; offsets must be a multiple of 8px`
+          );
+        }
+
+        if (layerDef?.parallaxFactorX || layerDef?.parallaxFactorY) {
+          problems.add(
+            `Layer "${layer.__identifier}" has parallax, which can't be shown in the PICO-8 map; it's ignored`
+          );
+        }
+
+        if (isDrawn && layer.__tilesetDefUid != null) {
+          tilesetUids.add(layer.__tilesetDefUid);
+        }
+
+        (layer.entityInstances ?? []).forEach((entity) => {
+          if (entity.width % 8 || entity.height % 8) {
+            problems.add(
+              `Entity "${entity.__identifier}" in level "${ldtkLevel.identifier}" is ${entity.width}x${entity.height}px; its size should be a multiple of 8px`
+            );
+          }
+          if (entity.__tile) {
+            tilesetUids.add(entity.__tile.tilesetUid);
+          }
+        });
+      });
+  });
+
+  ldtk.defs.tilesets
+    .filter(({ uid }) => tilesetUids.has(uid))
+    .forEach((tileset) => {
+      const name = `Tileset "${tileset.identifier}"`;
+      if (tileset.tileGridSize % 8) {
+        errors.add(
+          `${name} has a ${tileset.tileGridSize}px grid size; it must be a multiple of 8px`
+        );
+      }
+      if (tileset.spacing || tileset.padding) {
+        errors.add(
+          `${name} has ${tileset.spacing}px spacing and ${tileset.padding}px padding; both must be 0px`
+        );
+      }
+    });
+
+  if (errors.size) {
+    // Report everything at once so it can all be fixed in one go
+    throw new Error(
+      `The LDtk project isn't set up for PICO-8:\n${[...errors, ...problems]
+        .map((error) => `  - ${error}`)
+        .join("\n")}`
+    );
+  }
+
+  problems.forEach((message) => {
+    warnings.push({ type: "warn", message: `${message}.` });
+  });
+}
+
+// LDtk numbers tiles across the tileset's grid from the top-left; x,y are the
+// px position of the tile in the tileset image.
+function ldtkTileIdAt(tileset, x, y) {
+  return (
+    Math.floor(y / tileset.tileGridSize) * tileset.__cWid +
+    Math.floor(x / tileset.tileGridSize)
+  );
+}
+
+function ldtkTilePosition(tileset, tileId) {
+  return {
+    x: (tileId % tileset.__cWid) * tileset.tileGridSize,
+    y: Math.floor(tileId / tileset.__cWid) * tileset.tileGridSize,
+  };
+}
+
+// The ids of the 8x8 tiles making up a larger tile of a tileset, row by row.
+// `scale` is how many 8x8 tiles wide the tile is.
+function splitLdtkTileId(tileset, tileId, scale) {
+  const tileX = (tileId % tileset.__cWid) * scale;
+  const tileY = Math.floor(tileId / tileset.__cWid) * scale;
+  const tileIds = [];
+  for (let y = 0; y < scale; y++) {
+    for (let x = 0; x < scale; x++) {
+      tileIds.push((tileY + y) * tileset.__cWid * scale + tileX + x);
+    }
+  }
+  return tileIds;
+}
+
+// Tilesets & layers can use any multiple of 8px as their grid size, so split
+// their larger tiles into the 8x8 tiles PICO-8 uses; each placed tile becomes
+// a block of map cells, and each of its Enum tags (and custom data) applies to
+// every one of its sprites. Returns a copy of the project where every tileset
+// & layer has an 8px grid.
+function splitLdtkMetaTiles(ldtk, warnings) {
+  // Tilesets which aren't on an 8px grid (such as icons for Tile fields) are
+  // left alone; they're never exported
+  const scales = new Map(
+    ldtk.defs.tilesets.map((tileset) => [
+      tileset.uid,
+      tileset.tileGridSize % 8 ? 1 : tileset.tileGridSize / 8,
+    ])
+  );
+  if (
+    [...scales.values()].every((scale) => scale === 1) &&
+    ldtk.levels.every((level) =>
+      (level.layerInstances ?? []).every(
+        ({ __type, __gridSize }) =>
+          (__type !== "Tiles" && __type !== "IntGrid") || __gridSize === 8
+      )
+    )
+  ) {
+    return ldtk;
+  }
+
+  const tilesets = ldtk.defs.tilesets.map((tileset) => {
+    const scale = scales.get(tileset.uid);
+    if (scale === 1) {
+      return tileset;
+    }
+
+    warnings.push({
+      type: "info",
+      message: `Tileset "${tileset.identifier}" has ${tileset.tileGridSize}px tiles; each is split into ${scale}x${scale} sprites.`,
+    });
+    return {
+      ...tileset,
+      tileGridSize: 8,
+      __cWid: tileset.__cWid * scale,
+      __cHei: tileset.__cHei * scale,
+      enumTags: (tileset.enumTags ?? []).map((enumTag) => ({
+        ...enumTag,
+        tileIds: (enumTag.tileIds ?? []).flatMap((tileId) =>
+          splitLdtkTileId(tileset, tileId, scale)
+        ),
+      })),
+      customData: (tileset.customData ?? []).flatMap(({ tileId, data }) =>
+        splitLdtkTileId(tileset, tileId, scale).map((splitTileId, index) => ({
+          tileId: splitTileId,
+          // Each sprite animates through the same part of every frame
+          data: splitLdtkTileAnimation(
+            data,
+            (frameTileId) => splitLdtkTileId(tileset, frameTileId, scale)[index]
+          ),
+        }))
+      ),
+    };
+  });
+
+  // Flipped tiles also swap the order of the 8x8 tiles they're made of
+  function splitTile(tile, tileset) {
+    const scale = scales.get(tileset.uid);
+    const splitTileIds = splitLdtkTileId(tileset, tile.t, scale);
+    const splitTiles = [];
+    for (let y = 0; y < scale; y++) {
+      for (let x = 0; x < scale; x++) {
+        const srcX = tile.f & LDTK_FLIP_X ? scale - 1 - x : x;
+        const srcY = tile.f & LDTK_FLIP_Y ? scale - 1 - y : y;
+        splitTiles.push({
+          ...tile,
+          px: [tile.px[0] + x * 8, tile.px[1] + y * 8],
+          src: [tile.src[0] + srcX * 8, tile.src[1] + srcY * 8],
+          t: splitTileIds[srcY * scale + srcX],
+        });
+      }
+    }
+    return splitTiles;
+  }
+
+  function splitLayer(layer) {
+    // Hidden layers aren't validated, so may not split evenly
+    if (
+      (layer.__type !== "Tiles" && layer.__type !== "IntGrid") ||
+      layer.__gridSize % 8
+    ) {
+      return layer;
+    }
+
+    const gridScale = layer.__gridSize / 8;
+    const tileset = ldtk.defs.tilesets.find(
+      ({ uid }) => uid === layer.__tilesetDefUid
+    );
+    const tilesKey = layer.__type === "Tiles" ? "gridTiles" : "autoLayerTiles";
+    const split = {
+      ...layer,
+      __gridSize: 8,
+      __cWid: layer.__cWid * gridScale,
+      __cHei: layer.__cHei * gridScale,
+      [tilesKey]:
+        tileset && scales.get(tileset.uid) > 1
+          ? (layer[tilesKey] ?? []).flatMap((tile) => splitTile(tile, tileset))
+          : layer[tilesKey],
+    };
+
+    if (layer.__type === "IntGrid" && gridScale > 1) {
+      // Each value covers a block of cells
+      split.intGridCsv = Array.from(
+        { length: split.__cWid * split.__cHei },
+        (_, index) =>
+          layer.intGridCsv[
+            Math.floor(Math.floor(index / split.__cWid) / gridScale) *
+              layer.__cWid +
+              Math.floor((index % split.__cWid) / gridScale)
+          ]
+      );
+    }
+
+    return split;
+  }
+
+  return {
+    ...ldtk,
+    defs: { ...ldtk.defs, tilesets },
+    levels: ldtk.levels.map((level) => ({
+      ...level,
+      layerInstances: (level.layerInstances ?? []).map(splitLayer),
+    })),
+  };
+}
+
+function extractLtdkPalTField(ldtkLevel) {
+  return ldtkLevel.fieldInstances.find(
+    ({ __identifier, __type }) =>
+      __identifier === LDTK_PALT_FIELD && __type == "Int"
+  )?.__value;
+}
+
+function extractLtdkPalField(ldtkLevel) {
+  return ldtkLevel.fieldInstances.find(
+    ({ __identifier, __type }) =>
+      __identifier === LDTK_PAL_FIELD && __type == "Array<Int>"
+  )?.__value;
+}
+
+function extractLtdkLabelField(ldtkLevel) {
+  return ldtkLevel.fieldInstances.find(
+    ({ __identifier, __type }) =>
+      __identifier === LDTK_LABEL_FIELD && __type == "Point"
+  )?.__value;
+}
+
+// Render 16x16 cells of a placed level (or the whole PICO-8 map), starting
+// at cell x,y, into the lines of a `__label__` section. Empty cells show the
+// transparent color (like the viewer's `cls()`), and each pixel is the color
+// displayed by `pal`, where the secret palette is "g" to "v".
+function convertLdtkFlatTilesToP8LabelData(
+  ldtkFlatTiles,
+  placement,
+  x,
+  y,
+  gfxPixels,
+  palt,
+  pal,
+  mapWidth
+) {
+  const lines = [];
+  for (let pixelY = 0; pixelY < PICO_SPRITE_HEIGHT_PX; pixelY++) {
+    let line = "";
+    for (let pixelX = 0; pixelX < PICO_SPRITE_WIDTH_PX; pixelX++) {
+      const cellX = x + Math.floor(pixelX / 8);
+      const cellY = y + Math.floor(pixelY / 8);
+      const tile =
+        cellX >= 0 &&
+        cellY >= 0 &&
+        cellX < placement.width &&
+        cellY < placement.height
+          ? ldtkFlatTiles[levelCellIndex(placement, cellX, cellY, mapWidth)]
+          : undefined;
+      const color =
+        pal[
+          (tile
+            ? gfxPixels[spritePixelIndex(tile, pixelX % 8, pixelY % 8)]
+            : palt) ?? 0
+        ];
+      line +=
+        color >= SECRET_PALETTE_FROM
+          ? (color - SECRET_PALETTE_FROM + 16).toString(32)
+          : color.toString(16);
+    }
+    lines.push(line);
+  }
+  return lines;
+}
+
+// Fill in any missing slots of a (possibly partial) display palette with the
+// default colors, and make sure every color exists in PICO-8.
+function normalizePico8Pal(pal = []) {
+  if (pal.length > 16) {
+    throw new Error(
+      `Palette "${LDTK_PAL_FIELD}" has ${pal.length} colors, but PICO-8 can only display 16.`
+    );
+  }
+
+  return Array.from({ length: 16 }, (_, slot) => {
+    const color = pal[slot] ?? slot;
+    if (!pico8ColorToRgb(color)) {
+      throw new Error(
+        `Palette "${LDTK_PAL_FIELD}" has an invalid color ${color} in slot ${slot}. Use 0-15, or 128-143 for the secret palette.`
+      );
+    }
+    return color;
+  });
+}
+
+// Only slots which differ from the default palette need to be set
+function convertPico8PalToLua(pal) {
+  return pal
+    .map((color, slot) => (color === slot ? null : `pal(${slot},${color},1)`))
+    .filter(Boolean);
+}
+
+// Other control characters are written as 3 digit decimal escapes, so a digit
+// following them isn't read as part of the escape
+function toLuaString(value) {
+  return `"${value
+    .replace(/\\/g, "\\\\")
+    .replace(/"/g, '\\"')
+    .replace(/\n/g, "\\n")
+    .replace(
+      /[\x00-\x1f\x7f]/g,
+      (char) => `\\${String(char.charCodeAt(0)).padStart(3, "0")}`
+    )}"`;
+}
+
+// PICO-8 identifiers are lowercase; uppercase characters are typed as the
+// "puny" font and wouldn't match when written by hand in the PICO-8 editor.
+function toLuaIdentifier(identifier) {
+  return identifier.toLowerCase().replace(/[^a-z0-9_]/g, "_");
+}
+
+// A table key, which is written as ["key"] when the identifier can't be used
+// as a name in Lua (eg; "end" or "1up")
+function toLuaKey(key) {
+  const identifier = toLuaIdentifier(key);
+  return /^[0-9]/.test(identifier) || LUA_RESERVED_WORDS.includes(identifier)
+    ? `[${toLuaString(identifier)}]`
+    : identifier;
+}
+
+function toLuaValue(value) {
+  if (value == null) {
+    return "nil";
+  } else if (typeof value === "string") {
+    return toLuaString(value);
+  } else if (Array.isArray(value)) {
+    return `{${value.map(toLuaValue).join(",")}}`;
+  } else if (typeof value === "object") {
+    return `{${Object.entries(value)
+      .map(([key, entry]) => `${toLuaKey(key)}=${toLuaValue(entry)}`)
+      .join(",")}}`;
+  }
+  return String(value);
+}
+
+function hexColorToPaletteNumber(hexColor) {
+  const rgb = parseInt(hexColor.replace(/^#/, ""), 16);
+  const closest = colorDiff.closest(
+    { R: (rgb >> 16) & 0xff, G: (rgb >> 8) & 0xff, B: rgb & 0xff },
+    PALETTE
+  );
+  return PALETTE.findIndex(
+    ({ R, G, B }) => closest.R === R && closest.B === B && closest.G === G
+  );
+}
+
+// Convert a single (non-array) LDtk field value into something meaningful
+// within PICO-8:
+// - Colors become the closest PICO-8 color number
+// - Points become { x, y } in cells relative to the level
+// - Tiles become the sprite number
+// - Entity references become the referenced entity's iid
+// - Enums become their value as a string
+// Tiles are the sprite at the same position in the PICO-8 sprite sheet
+function ldtkTileToSprite(tile) {
+  return (
+    Math.floor(tile.y / 8) * PICO_SPRITE_WIDTH_CELLS + Math.floor(tile.x / 8)
+  );
+}
+
+function convertLdtkFieldValue(type, value, tileToSprite = ldtkTileToSprite) {
+  if (value == null) {
+    return null;
+  }
+
+  switch (type) {
+    case "Color":
+      return hexColorToPaletteNumber(value);
+    case "Point":
+      return { x: value.cx, y: value.cy };
+    case "Tile":
+      return tileToSprite(value) ?? null;
+    case "EntityRef":
+      return value.entityIid;
+    default:
+      return value;
+  }
+}
+
+// Returns an object of { [identifier]: value } ready for `toLuaValue()`
+function convertLdtkFieldInstances(fieldInstances, tileToSprite) {
+  return Object.fromEntries(
+    (fieldInstances ?? []).map(({ __identifier, __type, __value }) => {
+      const arrayType = __type.match(/^Array<(.*)>$/)?.[1];
+      // Enums are typed as eg; "LocalEnum.Sprite_Flags"
+      const valueType = (arrayType ?? __type).replace(/^\w+Enum\..*$/, "Enum");
+      return [
+        __identifier,
+        arrayType
+          ? (__value ?? []).map((value) =>
+              convertLdtkFieldValue(valueType, value, tileToSprite)
+            )
+          : convertLdtkFieldValue(valueType, __value, tileToSprite),
+      ];
+    })
+  );
+}
+
+// Entity positions & sizes are in cells relative to the level (including the
+// layer's offset), where x,y is the top-left of the entity regardless of its
+// pivot.
+function extractLdtkEntities(ldtkLevel, tileToSprite) {
+  return ldtkLevel.layerInstances
+    .filter((layer) => layer.visible && layer.__type === "Entities")
+    .flatMap((layer) =>
+      layer.entityInstances.map((entity) => ({
+        entity,
+        offsetX: layer.__pxTotalOffsetX ?? 0,
+        offsetY: layer.__pxTotalOffsetY ?? 0,
+      }))
+    )
+    .map(({ entity, offsetX, offsetY }) => ({
+      iid: entity.iid,
+      type: toLuaIdentifier(entity.__identifier),
+      x: (entity.px[0] + offsetX - entity.__pivot[0] * entity.width) / 8,
+      y: (entity.px[1] + offsetY - entity.__pivot[1] * entity.height) / 8,
+      w: entity.width / 8,
+      h: entity.height / 8,
+      fields: convertLdtkFieldInstances(entity.fieldInstances, tileToSprite),
+    }));
+}
+
+// Every tile referenced by a Tile field of a level or entity
+function extractLdtkTileFieldValues(ldtkLevels) {
+  return ldtkLevels
+    .flatMap((ldtkLevel) => [
+      ...(ldtkLevel.fieldInstances ?? []),
+      ...ldtkLevel.layerInstances
+        .filter((layer) => layer.__type === "Entities")
+        .flatMap((layer) => layer.entityInstances)
+        .flatMap((entity) => entity.fieldInstances ?? []),
+    ])
+    .filter(({ __type }) => /^(Array<)?Tile>?$/.test(__type))
+    .flatMap(({ __value }) => [].concat(__value ?? []));
+}
+
+// Only entities which are pointed to by an EntityRef field need their iid,
+// so it's left out of everything else to keep the generated Lua small.
+function extractLdtkReferencedEntityIids(ldtkLevels) {
+  const iids = new Set();
+  ldtkLevels
+    .flatMap((ldtkLevel) => ldtkLevel.layerInstances)
+    .filter((layer) => layer.__type === "Entities")
+    .flatMap((layer) => layer.entityInstances)
+    .flatMap((entity) => entity.fieldInstances)
+    .filter(({ __type }) => /^(Array<)?EntityRef>?$/.test(__type))
+    .flatMap(({ __value }) => [].concat(__value ?? []))
+    .forEach(({ entityIid }) => iids.add(entityIid));
+  return iids;
+}
+
+function convertLdtkEntitiesToLua(entities, referencedIids) {
+  return `{${entities
+    .map(
+      ({ iid, type, level, x, y, w, h, fields }) =>
+        `{${
+          referencedIids.has(iid) ? `iid=${toLuaString(iid)},` : ""
+        }type=${toLuaString(type)},${
+          level != null ? `level=${toLuaString(level)},` : ""
+        }x=${x},y=${y},w=${w},h=${h},fields=${toLuaValue(fields)}}`
+    )
+    .join(",")}}`;
+}
+
+// Every level's entities in a single Lua table, each with the id of the
+// `level` it's in (positions are still relative to the level)
+function convertLdtkLevelEntitiesToLua(levelPlacements, tileToSprite) {
+  const ldtkLevels = levelPlacements.map(({ level }) => level);
+
+  return convertLdtkEntitiesToLua(
+    ldtkLevels.flatMap((level) =>
+      extractLdtkEntities(level, tileToSprite).map((entity) => ({
+        ...entity,
+        level: toLuaIdentifier(level.identifier),
+      }))
+    ),
+    extractLdtkReferencedEntityIids(ldtkLevels)
+  );
+}
+
+// Generate a Lua table describing where each level lives in the PICO-8 map,
+// for example:
+//
+// levels={
+//  {id="level_0",x=0,y=0,w=16,h=16,fields={pico8_palt=0}},
+// }
+// for l in all(levels) do levels[l.id]=l end
+//
+// Which can then be drawn with `map(levels.level_0.x,levels.level_0.y,...)`
+// When `entities` is true, each level also gets an `entities` list.
+// `tileToSprite` converts the value of Tile fields into a sprite number.
+// When levels have a `map` string (see convertLdtkFlatTilesToLuaString), it's
+// added to the level along with functions to unpack it & load it into the map.
+// When `intGridLayers` lists IntGrid layer identifiers, each level also gets
+// an `intgrid` table of those layers' values as packed strings (see
+// convertLdtkIntGridToLuaString), along with an `unpack_intgrid()` function.
+// When `extendedMap` is { width, map }, the whole map is added as a packed
+// `extended_map` string, along with a `load_extended_map()` function to unpack
+// it into upper memory and draw the map from there.
+// When there are `animations` ([{ fps, sprites }]), they're added as an `anims`
+// table, along with `init_anims()` to find the map cells using their sprites
+// (all of the `mapBounds` by default), and `update_anims()` to `mset()` each
+// cell to its current frame.
+function convertLdtkLevelsToLua(
+  levelPlacements,
+  {
+    entities = false,
+    tileToSprite,
+    intGridLayers = [],
+    extendedMap,
+    animations = [],
+    mapBounds = { width: PICO_MAP_WIDTH_CELLS, height: PICO_MAP_HEIGHT_CELLS },
+  } = {}
+) {
+  const referencedIids = extractLdtkReferencedEntityIids(
+    levelPlacements.map(({ level }) => level)
+  );
+
+  return [
+    "levels={",
+    ...levelPlacements.map(
+      ({ level, x, y, width, height, map }) =>
+        ` {id=${toLuaString(
+          toLuaIdentifier(level.identifier)
+        )},x=${x},y=${y},w=${width},h=${height},fields=${toLuaValue(
+          convertLdtkFieldInstances(level.fieldInstances, tileToSprite)
+        )}${
+          entities
+            ? `,entities=${convertLdtkEntitiesToLua(
+                extractLdtkEntities(level, tileToSprite),
+                referencedIids
+              )}`
+            : ""
+        }${map != null ? `,map=${toLuaString(map)}` : ""}${
+          intGridLayers.length
+            ? `,intgrid={${intGridLayers
+                .map((identifier) => [
+                  identifier,
+                  convertLdtkIntGridToLuaString(level, identifier),
+                ])
+                .filter(([, value]) => value != null)
+                .map(
+                  ([identifier, value]) =>
+                    `${toLuaKey(identifier)}=${toLuaString(value)}`
+                )
+                .join(",")}}`
+            : ""
+        }},`
+    ),
+    "}",
+    "for l in all(levels) do levels[l.id]=l end",
+    ...(intGridLayers.length
+      ? [
+          "function unpack_intgrid(s)",
+          " local t={}",
+          " for i=1,#s,2 do",
+          '  for j=0,tonum("0x"..sub(s,i+1,i+1)) do',
+          '   add(t,tonum("0x"..sub(s,i,i)))',
+          "  end",
+          " end",
+          " return t",
+          "end",
+        ]
+      : []),
+    ...(levelPlacements.some(({ map }) => map != null)
+      ? [
+          "function unpack_map(s)",
+          " local t={}",
+          " for i=1,#s,3 do",
+          "  local n=ord(s,i+2)",
+          "  for j=0,n-(n>96 and 87 or 48) do",
+          '   add(t,tonum("0x"..sub(s,i,i+1)))',
+          "  end",
+          " end",
+          " return t",
+          "end",
+          "function load_map(l,sx,sy,w,h)",
+          " local t=unpack_map(l.map)",
+          " for y=0,(h or 32)-1 do",
+          "  for x=0,(w or 128)-1 do",
+          "   mset(x,y,sx+x<l.w and sy+y<l.h and t[(sy+y)*l.w+sx+x+1] or 0)",
+          "  end",
+          " end",
+          "end",
+        ]
+      : []),
+    ...(extendedMap
+      ? [
+          `extended_map=${toLuaString(extendedMap.map)}`,
+          "function load_extended_map()",
+          // Trailing empty cells aren't stored, so clear them first (in
+          // halves, since a length of 0x8000 overflows a PICO-8 number)
+          " memset(0x8000,0,0x4000)",
+          " memset(0xc000,0,0x4000)",
+          " local a=0x8000",
+          " for i=1,#extended_map,3 do",
+          "  local n=ord(extended_map,i+2)",
+          "  n-=n>96 and 86 or 47",
+          '  memset(a,tonum("0x"..sub(extended_map,i,i+1)),n)',
+          "  a+=n",
+          " end",
+          // The map's address (high byte) and width, where 0 is 256
+          ` poke(0x5f56,0x80,${
+            extendedMap.width % PICO_EXTENDED_MAP_MAX_WIDTH_CELLS
+          })`,
+          "end",
+        ]
+      : []),
+    ...(animations.length
+      ? [
+          "anims={",
+          ...animations.map(
+            ({ fps, sprites }) => ` {fps=${fps},frames={${sprites.join(",")}}},`
+          ),
+          "}",
+          "function init_anims(w,h)",
+          " local f={}",
+          " for a in all(anims) do",
+          "  a.cells={}",
+          "  for i=1,#a.frames do",
+          "   f[a.frames[i]]={a,i}",
+          "  end",
+          " end",
+          ` for y=0,(h or ${mapBounds.height})-1 do`,
+          `  for x=0,(w or ${mapBounds.width})-1 do`,
+          "   local c=f[mget(x,y)]",
+          "   if c then",
+          "    add(c[1].cells,{x,y,c[2]})",
+          "   end",
+          "  end",
+          " end",
+          "end",
+          // Cells keep the offset of the frame they were placed with
+          "function update_anims()",
+          " for a in all(anims) do",
+          "  local n=flr(t()*a.fps)",
+          "  for c in all(a.cells) do",
+          "   mset(c[1],c[2],a.frames[(n+c[3]-1)%#a.frames+1])",
+          "  end",
+          " end",
+          "end",
+        ]
+      : []),
+  ];
+}
+
+// Compress a level's tiles (row by row) into a string of runs; each run is the
+// sprite number as 2 hex digits, then the run length - 1 as a base 36 digit
+// (eg; "00z" is 36 empty cells, and "1a2" is 3 of sprite 26).
+function convertLdtkFlatTilesToLuaString(ldtkFlatTiles, offset, length) {
+  let packed = "";
+  let run = 0;
+  for (let index = offset; index < offset + length; index++) {
+    const tile = ldtkFlatTiles[index] ?? 0;
+    run++;
+    if (
+      run === LUA_MAP_RUN_DIGITS.length ||
+      index === offset + length - 1 ||
+      (ldtkFlatTiles[index + 1] ?? 0) !== tile
+    ) {
+      packed += toHex(tile, 2) + LUA_MAP_RUN_DIGITS[run - 1];
+      run = 0;
+    }
+  }
+  return packed;
+}
+
+// IntGrid layers can also export their values, selected by the layer's
+// identifier:
+// - "flags": Set sprite flag (value - 1) on the tiles placed in those cells
+// - "map:x,y": Write the values as marker tiles into the PICO-8 map, offset
+//   x,y cells from where the level is placed
+// - "lua": Add the values to the level's Lua table as a packed string
+function parseLdtkIntGridModes(intGrid = {}) {
+  return Object.entries(intGrid).map(([identifier, mode]) => {
+    const [, name, x, y] =
+      String(mode).match(/^(flags|lua|map)(?::(-?\d+),(-?\d+))?$/) ?? [];
+    if (!name || (name === "map") !== (x != null)) {
+      throw new Error(
+        `Unknown IntGrid export "${mode}" for layer "${identifier}"; use "flags", "map:x,y", or "lua".`
+      );
+    }
+    return { identifier, mode: name, x: Number(x ?? 0), y: Number(y ?? 0) };
+  });
+}
+
+function findLdtkIntGridLayer(ldtkLevel, identifier) {
+  const layer = ldtkLevel.layerInstances.find(
+    (layer) => layer.__identifier === identifier && layer.__type === "IntGrid"
+  );
+  if (layer && layer.__gridSize !== 8) {
+    throw new Error(
+      `IntGrid layer "${identifier}" must have an 8px grid size to export its values`
+    );
+  }
+  return layer;
+}
+
+// Calls fn(value, x, y) with x,y in cells relative to the level (including
+// the layer's offset), for every cell of the level's IntGrid layer which has a
+// value
+function forEachLdtkIntGridValue(ldtkLevel, identifier, fn) {
+  const layer = findLdtkIntGridLayer(ldtkLevel, identifier);
+  (layer?.intGridCsv ?? []).forEach((value, index) => {
+    if (value) {
+      fn(
+        value,
+        (index % layer.__cWid) + (layer.__pxTotalOffsetX ?? 0) / 8,
+        Math.floor(index / layer.__cWid) + (layer.__pxTotalOffsetY ?? 0) / 8
+      );
+    }
+  });
+}
+
+// The index into the flat tiles of a cell in a placed level. Levels exported
+// as Lua strings aren't placed in the PICO-8 map, but each stored in their own
+// block of the flat tiles, starting at `offset`.
+function levelCellIndex(
+  { x, y, width, offset },
+  cellX,
+  cellY,
+  mapWidth = PICO_MAP_WIDTH_CELLS
+) {
+  return offset != null
+    ? offset + cellY * width + cellX
+    : (y + cellY) * mapWidth + x + cellX;
+}
+
+// Set a sprite flag on every tile placed in a cell with an IntGrid value.
+// Flags are per sprite, so a sprite which is also placed outside of those
+// cells gets the flag everywhere.
+function applyLdtkIntGridFlags(
+  ldtkFlatTiles,
+  ldtkTilesetEnum,
+  levelPlacements,
+  identifier,
+  mapWidth,
+  warnings
+) {
+  const tilesetEnum = [...ldtkTilesetEnum];
+  // "sprite:flag" => number of cells
+  const flaggedCells = new Map();
+  // Flag => sprites which already had it, which the IntGrid value can't be
+  // told apart from
+  const collidingFlags = new Map();
+  const skippedValues = new Set();
+  let emptyCells = 0;
+
+  levelPlacements.forEach((placement) => {
+    const { level, width, height } = placement;
+    forEachLdtkIntGridValue(level, identifier, (value, cellX, cellY) => {
+      if (value > 8) {
+        skippedValues.add(value);
+        return;
+      }
+      if (cellX < 0 || cellY < 0 || cellX >= width || cellY >= height) {
+        return;
+      }
+      const tile =
+        ldtkFlatTiles[levelCellIndex(placement, cellX, cellY, mapWidth)];
+      if (tile == null) {
+        emptyCells++;
+        return;
+      }
+      // Flipped copies are made later, and inherit the flags
+      const sprite = tile & 0xff;
+      const flag = value - 1;
+      if (ldtkTilesetEnum[sprite]?.includes(flag)) {
+        collidingFlags.set(
+          flag,
+          new Set([...(collidingFlags.get(flag) ?? []), sprite])
+        );
+      }
+      tilesetEnum[sprite] = [
+        ...new Set([...(tilesetEnum[sprite] ?? []), flag]),
+      ];
+      const key = `${sprite}:${flag}`;
+      flaggedCells.set(key, (flaggedCells.get(key) ?? 0) + 1);
+    });
+  });
+
+  if (skippedValues.size) {
+    warnings.push({
+      type: "warn",
+      message: `Skipping IntGrid value(s) ${[...skippedValues].join(
+        ", "
+      )} of layer "${identifier}"; only values 1-8 can be sprite flags.`,
+    });
+  }
+
+  if (emptyCells) {
+    warnings.push({
+      type: "warn",
+      message: `IntGrid layer "${identifier}" has values in ${emptyCells} cell(s) without a tile, so they can't be sprite flags.`,
+    });
+  }
+
+  collidingFlags.forEach((sprites, flag) => {
+    const spriteList = [...sprites].join(", ");
+    warnings.push({
+      type: "warn",
+      message: `IntGrid value ${
+        flag + 1
+      } of layer "${identifier}" sets flag ${flag} of sprite(s) ${spriteList}, which already have it from an Enum tag or another IntGrid layer.`,
+    });
+  });
+
+  const spriteCells = new Map();
+  ldtkFlatTiles.forEach((tile) => {
+    if (tile != null) {
+      spriteCells.set(tile & 0xff, (spriteCells.get(tile & 0xff) ?? 0) + 1);
+    }
+  });
+  flaggedCells.forEach((count, key) => {
+    const [sprite, flag] = key.split(":").map(Number);
+    if (count < spriteCells.get(sprite)) {
+      warnings.push({
+        type: "warn",
+        message: `Sprite ${sprite} is also placed outside IntGrid value ${
+          flag + 1
+        } of layer "${identifier}"; it gets flag ${flag} everywhere.`,
+      });
+    }
+  });
+
+  return tilesetEnum;
+}
+
+// Write IntGrid values into the map as marker tiles (the sprite number is the
+// value), offset x,y cells from where each level is placed.
+function applyLdtkIntGridMarkers(
+  ldtkFlatTiles,
+  levelPlacements,
+  { identifier, x: offsetX, y: offsetY },
+  mapBounds,
+  warnings
+) {
+  const flatTiles = [...ldtkFlatTiles];
+  let overwritten = 0;
+  let outOfBounds = false;
+
+  levelPlacements.forEach(({ level, x, y }) => {
+    forEachLdtkIntGridValue(level, identifier, (value, cellX, cellY) => {
+      const mapX = x + offsetX + cellX;
+      const mapY = y + offsetY + cellY;
+      if (
+        mapX < 0 ||
+        mapX >= mapBounds.width ||
+        mapY < 0 ||
+        mapY >= mapBounds.height
+      ) {
+        outOfBounds = true;
+        return;
+      }
+      const index = mapY * mapBounds.width + mapX;
+      if (flatTiles[index]) {
+        overwritten++;
+      }
+      flatTiles[index] = value;
+    });
+  });
+
+  if (outOfBounds) {
+    warnings.push({
+      type: "warn",
+      message: `IntGrid layer "${identifier}" markers will be clipped to the PICO-8 map (${mapBounds.width}x${mapBounds.height}).`,
+    });
+  }
+
+  if (overwritten) {
+    warnings.push({
+      type: "warn",
+      message: `IntGrid layer "${identifier}" markers overwrite ${overwritten} map cell(s) with tiles.`,
+    });
+  }
+
+  return flatTiles;
+}
+
+// Pack a level's IntGrid values (row by row, the width of the level) into a
+// string of runs; each run is a hex digit of the value (up to 15), then a hex
+// digit of the run length - 1 (eg; "0f11" is 16 0's followed by 2 1's).
+function convertLdtkIntGridToLuaString(ldtkLevel, identifier) {
+  const layer = findLdtkIntGridLayer(ldtkLevel, identifier);
+  if (!layer) {
+    return undefined;
+  }
+
+  let packed = "";
+  let run = 0;
+  (layer.intGridCsv ?? []).forEach((value, index, values) => {
+    run++;
+    if (run === 16 || values[index + 1] !== value) {
+      packed += toHex(Math.min(value, 15), 1) + toHex(run - 1, 1);
+      run = 0;
+    }
+  });
+  return packed;
+}
+
+function convertLdtkFlatTilesToP8MapData(ldtkFlatTiles) {
+  // The cell numbers referenced are based on the LDtk tileset, not the PICO-8
+  // sprite, which could be different sizes, so we remap the tilenumbers
+  let mapData = arrayToHexString(ldtkFlatTiles, PICO_MAP_DATA_NIBBLES, 0);
+  mapData = trimMapData(mapData);
+  return splitPICODataIntoLines(
+    mapData,
+    PICO_MAP_WIDTH_CELLS,
+    PICO_MAP_DATA_NIBBLES
+  );
+}
+
+// r1 = { x, y, width, height }
+// r2 = { x, y, width, height }
+// If any are not specified, it means "Use the other rect's value"
+// return { x1, y1, x2, y2, width, height }
+function intersectRects(
+  {
+    x: r1x = -Infinity,
+    y: r1y = -Infinity,
+    width: r1width = Infinity,
+    height: r1height = Infinity,
+  } = {},
+  {
+    x: r2x = -Infinity,
+    y: r2y = -Infinity,
+    width: r2width = Infinity,
+    height: r2height = Infinity,
+  } = {}
+) {
+  if (r1width === Infinity && r2width === Infinity) {
+    throw new Error("At least one rect must specify a width");
+  }
+  if (r1height === Infinity && r2height === Infinity) {
+    throw new Error("At least one rect must specify a height");
   }
   if (r1x === -Infinity && r2x === -Infinity) {
     throw new Error("At least one rect must specify an x value");
   }
-  if (r1y === -Infinity && r2y === -Infinity) {
-    throw new Error("At least one rect must specify an y value");
+  if (r1y === -Infinity && r2y === -Infinity) {
+    throw new Error("At least one rect must specify an y value");
+  }
+
+  x1 = Math.max(r1x, r2x);
+  y1 = Math.max(r1y, r2y);
+
+  x2 = Math.min(r1x + r1width, r2x + r2width);
+  y2 = Math.min(r1y + r1height, r2y + r2height);
+
+  return { x1, y1, x2, y2, width: x2 - x1, height: y2 - y1 };
+}
+
+/*
+ Take something like:
+  enumTags: [
+    { enumValueId: "Ground", tileIds: [1, 2] }, // index "0"
+    { enumValueId: "Spikes", tileIds: [] }, // index "1"
+    { enumValueId: "Grass", tileIds: [2, 4] }, // index "2"
+    { enumValueId: "Player", tileIds: [5] }, // index "3"
+  ],
+
+  and convert it into:
+ 
+  [[], [0], [0, 2], [], [2], [3]]
+*/
+function extractLtdkTilesetEnum(ldtkTileset, clipRect, warnings) {
+  const levelWidth = ldtkTileset.__cWid;
+  const levelHeight = ldtkTileset.__cHei;
+  const enums = [];
+  // The pin isn't a sprite flag
+  const enumTags = (ldtkTileset.enumTags ?? []).filter(
+    ({ enumValueId }) => enumValueId !== LDTK_PIN_ENUM_VALUE
+  );
+
+  const { x1, y1, x2, y2, width, height } = intersectRects(clipRect, {
+    x: 0,
+    y: 0,
+    width: levelWidth,
+    height: levelHeight,
+  });
+
+  if (enumTags.length > 8) {
+    warnings.push({
+      type: "warn",
+      message: `Skipping tileset Enums after the first 8; PICO-8 can only have up to 8 sprite flags. [uid ${ldtkTileset.uid}]`,
+    });
+  }
+
+  enumTags.slice(0, 8).forEach((enumTag, index) => {
+    // Tile IDs are 0-based
+    (enumTag.tileIds ?? []).forEach((tileId) => {
+      // Figure out the x/y based on the ID
+      const tileX = tileId % levelWidth;
+      const tileY = Math.floor(tileId / levelWidth);
+
+      // Don't include tiles that are outside the specified area
+      if (tileX < x2 && tileY < y2) {
+        enumId = (tileY - y1) * width + (tileX - x1);
+        enums[enumId] = enums[enumId] || [];
+        enums[enumId].push(index);
+      }
+    });
+  });
+
+  // May have created a sparse array, so fill in the blanks
+  for (let i = 0; i < width * height; i++) {
+    enums[i] = enums[i] ?? [];
+  }
+
+  return enums;
+}
+
+// Read the animation from a tile's custom data as { tileIds, fps }. Returns
+// undefined when the tile isn't animated, or null when its "anim:" line can't
+// be read.
+function parseLdtkTileAnimation(data) {
+  const line = String(data ?? "").match(LDTK_ANIM_LINE)?.[1];
+  if (line == null) {
+    return undefined;
+  }
+
+  const [, tileIds, fps] =
+    line.match(
+      /^\s*(\d+(?:\s*,\s*\d+)*)\s*(?:@\s*(\d+(?:\.\d+)?)\s*fps)?\s*$/i
+    ) ?? [];
+  if (!tileIds || Number(fps) === 0) {
+    return null;
+  }
+  return {
+    tileIds: tileIds.split(",").map(Number),
+    fps: fps != null ? Number(fps) : LDTK_ANIM_DEFAULT_FPS,
+  };
+}
+
+// Rewrite the frames of the animation in a tile's custom data (if it has one)
+// with `splitTileId`, for when the tileset's tiles are split into sprites
+function splitLdtkTileAnimation(data, splitTileId) {
+  const animation = parseLdtkTileAnimation(data);
+  if (!animation) {
+    return data;
+  }
+  return data.replace(
+    LDTK_ANIM_LINE,
+    `anim: ${animation.tileIds.map(splitTileId).join(",")} @ ${
+      animation.fps
+    }fps`
+  );
+}
+
+// Returns the animated tiles of a tileset as [{ tileId, tileIds, fps }], with
+// a warning for each animation which can't be used
+function extractLdtkTileAnimations(ldtkTileset, warnings) {
+  const tileCount = ldtkTileset.__cWid * ldtkTileset.__cHei;
+  return (ldtkTileset.customData ?? []).flatMap(({ tileId, data }) => {
+    const animation = parseLdtkTileAnimation(data);
+    if (
+      animation === null ||
+      animation?.tileIds.some((frameTileId) => frameTileId >= tileCount)
+    ) {
+      warnings.push({
+        type: "warn",
+        message: `Skipping the animation of tile ${tileId} in tileset "${ldtkTileset.identifier}"; use "anim: <tile IDs> @ <n>fps" with the IDs of the tileset's tiles.`,
+      });
+      return [];
+    }
+    return animation ? [{ tileId, ...animation }] : [];
+  });
+}
+
+function extractLtdkPinnedTileIds(ldtkTileset) {
+  return (
+    (ldtkTileset.enumTags ?? []).find(
+      ({ enumValueId }) => enumValueId === LDTK_PIN_ENUM_VALUE
+    )?.tileIds ?? []
+  );
+}
+
+function convertLdtkTilesetEnumToP8SpriteFlags(ldtkTilesetEnum) {
+  const flagsArray = ldtkTilesetEnum.map((indexes) => {
+    return indexes.reduce((value, index) => {
+      return value | (1 << index);
+    }, 0);
+  });
+  const flagData = arrayToHexString(flagsArray, PICO_FLAGS_DATA_NIBBLES, 0);
+  return splitPICODataIntoLines(
+    flagData,
+    PICO_FLAGS_WIDTH,
+    PICO_FLAGS_DATA_NIBBLES
+  );
+}
+
+// Read the 128x128 pixels of the sprite sheet from a cart's __gfx__ section.
+// Missing lines (which PICO-8 trims when they're all 0) are filled with 0.
+function decodeP8GfxPixels(cart) {
+  const gfxLines =
+    cart.sections.find(({ name }) => name === "__gfx__")?.lines ?? [];
+  const pixels = [];
+
+  for (let y = 0; y < PICO_SPRITE_HEIGHT_PX; y++) {
+    for (let x = 0; x < PICO_SPRITE_WIDTH_PX; x++) {
+      pixels.push(parseInt(gfxLines[y]?.[x] ?? "0", 16) || 0);
+    }
+  }
+
+  return pixels;
+}
+
+// Read the map cells from a cart's __map__ section. When `includeShared` is
+// true, the shared bottom half of the map is read from the bottom half of the
+// sprite sheet too (where each byte has its nibbles swapped).
+function decodeP8MapCells(cart, gfxPixels, includeShared) {
+  const mapLines =
+    cart.sections.find(({ name }) => name === "__map__")?.lines ?? [];
+  const cells = [];
+
+  for (let y = 0; y < PICO_MAP_SHARED_ROWS_FROM; y++) {
+    for (let x = 0; x < PICO_MAP_WIDTH_CELLS; x++) {
+      const offset = x * PICO_MAP_DATA_NIBBLES;
+      cells.push(
+        parseInt(mapLines[y]?.slice(offset, offset + 2) || "0", 16) || 0
+      );
+    }
+  }
+
+  if (includeShared) {
+    const sharedPixels = gfxPixels.slice(
+      PICO_SPRITE_SHARED_ROWS_FROM * PICO_SPRITE_WIDTH_PX
+    );
+    for (let i = 0; i < sharedPixels.length; i += 2) {
+      cells.push(sharedPixels[i] | (sharedPixels[i + 1] << 4));
+    }
+  }
+
+  return cells;
+}
+
+function decodeP8SpriteFlags(cart) {
+  const flagData = (
+    cart.sections.find(({ name }) => name === "__gff__")?.lines ?? []
+  ).join("");
+  const flags = [];
+
+  for (let i = 0; i < PICO_SPRITE_WIDTH_CELLS * PICO_SPRITE_HEIGHT_CELLS; i++) {
+    const offset = i * PICO_FLAGS_DATA_NIBBLES;
+    flags.push(parseInt(flagData.slice(offset, offset + 2) || "0", 16) || 0);
+  }
+
+  return flags;
+}
+
+// Read the 64 music patterns from a cart's __music__ section into their 4 ROM
+// bytes each; a sfx per channel, with the loop & stop flags in the top bits.
+// Missing patterns have every channel disabled.
+function decodeP8Music(cart) {
+  const musicLines =
+    cart.sections.find(({ name }) => name === "__music__")?.lines ?? [];
+  const bytes = [];
+
+  for (let pattern = 0; pattern < P8_ROM_MUSIC_PATTERNS; pattern++) {
+    const [flags = "00", channels = "41424344"] =
+      musicLines[pattern]?.split(" ") ?? [];
+    for (let channel = 0; channel < 4; channel++) {
+      bytes.push(
+        (parseInt(channels.slice(channel * 2, channel * 2 + 2), 16) & 0x7f) |
+          (((parseInt(flags, 16) >> channel) & 1) << 7)
+      );
+    }
+  }
+
+  return bytes;
+}
+
+// Read the 64 sfx from a cart's __sfx__ section into their 68 ROM bytes each;
+// 32 notes packed into 16 bits (pitch, waveform, volume, effect & whether the
+// waveform is a custom instrument), then the editor mode, speed & loop points.
+function decodeP8Sfx(cart) {
+  const sfxLines =
+    cart.sections.find(({ name }) => name === "__sfx__")?.lines ?? [];
+  const bytes = [];
+
+  for (let sfx = 0; sfx < P8_ROM_SFX_COUNT; sfx++) {
+    const line = sfxLines[sfx] ?? "00100000";
+    const hexAt = (offset, ndigits) =>
+      parseInt(line.slice(offset, offset + ndigits) || "0", 16) || 0;
+
+    for (let note = 0; note < P8_ROM_SFX_NOTES; note++) {
+      const offset = 8 + note * 5;
+      const waveform = hexAt(offset + 2, 1);
+      const noteData =
+        hexAt(offset, 2) |
+        ((waveform & 0x7) << 6) |
+        (hexAt(offset + 3, 1) << 9) |
+        ((hexAt(offset + 4, 1) & 0x7) << 12) |
+        ((waveform >> 3) << 15);
+      bytes.push(noteData & 0xff, noteData >> 8);
+    }
+    bytes.push(hexAt(0, 2), hexAt(2, 2), hexAt(4, 2), hexAt(6, 2));
+  }
+
+  return bytes;
+}
+
+/*
+ The inverse of extractLtdkTilesetEnum(); Take something like:
+
+  [0, 1, 5, 0, 4]
+
+  and convert it into:
+
+  enumTags: [
+    { enumValueId: "Flag_0", tileIds: [1, 2] },
+    { enumValueId: "Flag_1", tileIds: [] },
+    { enumValueId: "Flag_2", tileIds: [2, 4] },
+    ...
+  ],
+*/
+function convertP8SpriteFlagsToLdtkEnumTags(spriteFlags) {
+  return Array.from({ length: 8 }, (_, flag) => ({
+    enumValueId: `Flag_${flag}`,
+    tileIds: spriteFlags
+      .map((flags, tileId) => (flags & (1 << flag) ? tileId : -1))
+      .filter((tileId) => tileId !== -1),
+  }));
+}
+
+function convertPico8PixelsToPng(pixels, palt) {
+  const image = new jimp(PICO_SPRITE_WIDTH_PX, PICO_SPRITE_HEIGHT_PX);
+
+  pixels.forEach((paletteNumber, index) => {
+    const { R, G, B } = PALETTE[paletteNumber];
+    image.setPixelColor(
+      // The transparent color becomes real transparency so it renders as
+      // expected within LDtk
+      jimp.rgbaToInt(R, G, B, paletteNumber === palt ? 0 : 255),
+      index % PICO_SPRITE_WIDTH_PX,
+      Math.floor(index / PICO_SPRITE_WIDTH_PX)
+    );
+  });
+
+  return image.getBufferAsync(jimp.MIME_PNG);
+}
+
+/**
+ * Render what PICO-8 draws from a .p8 cart's data (either its text contents,
+ * or already parsed with `parseP8Cart()` / `loadP8Cart()`); the whole map
+ * (including the shared area, read from the sprite sheet) above the sprite
+ * sheet scaled up to the same width.
+ *
+ * `palt` is drawn as transparent, along with map cells holding sprite 0 (which
+ * `map()` skips), and `pal` is the display palette colors are shown through.
+ *
+ * Returns a Buffer of the PNG.
+ */
+async function renderCartPreview(
+  cartData,
+  { palt = 0, pal = normalizePico8Pal() } = {}
+) {
+  const cart = typeof cartData === "string" ? parseP8Cart(cartData) : cartData;
+  const gfxPixels = decodeP8GfxPixels(cart);
+  const mapCells = decodeP8MapCells(cart, gfxPixels, true);
+  const scale = PICO_MAP_WIDTH_PX / PICO_SPRITE_WIDTH_PX;
+  const image = new jimp(
+    PICO_MAP_WIDTH_PX,
+    PICO_MAP_HEIGHT_PX + PICO_SPRITE_HEIGHT_PX * scale,
+    0x00000000
+  );
+
+  function setPixel(x, y, paletteNumber) {
+    if (paletteNumber === palt) {
+      return;
+    }
+    const { R, G, B } = pico8ColorToRgb(pal[paletteNumber]);
+    image.setPixelColor(jimp.rgbaToInt(R, G, B, 255), x, y);
+  }
+
+  for (let y = 0; y < PICO_MAP_HEIGHT_PX; y++) {
+    for (let x = 0; x < PICO_MAP_WIDTH_PX; x++) {
+      const sprite =
+        mapCells[Math.floor(y / 8) * PICO_MAP_WIDTH_CELLS + Math.floor(x / 8)];
+      if (sprite) {
+        setPixel(x, y, gfxPixels[spritePixelIndex(sprite, x % 8, y % 8)]);
+      }
+    }
+  }
+
+  for (let y = PICO_MAP_HEIGHT_PX; y < image.bitmap.height; y++) {
+    for (let x = 0; x < PICO_MAP_WIDTH_PX; x++) {
+      setPixel(
+        x,
+        y,
+        gfxPixels[
+          Math.floor((y - PICO_MAP_HEIGHT_PX) / scale) * PICO_SPRITE_WIDTH_PX +
+            Math.floor(x / scale)
+        ]
+      );
+    }
+  }
+
+  return image.getBufferAsync(jimp.MIME_PNG);
+}
+
+// Replace each `#include` line of a cart's code with the contents of that file
+// (relative to `includeDir`), as PICO-8 does when exporting a binary cart
+function resolveP8CodeIncludes(code, includeDir) {
+  return code.replace(/^#include\s+(.+?)\s*$/gm, (_, includeFile) => {
+    if (includeDir == null) {
+      throw new Error(
+        `Cannot #include ${includeFile} without knowing where the cart lives`
+      );
+    }
+
+    const includePath = path.resolve(includeDir, includeFile);
+    let includeData;
+    try {
+      includeData = fs.readFileSync(includePath);
+    } catch (error) {
+      if (error.code === "ENOENT") {
+        throw new Error(`Cannot load #include file ${includePath}`);
+      } else {
+        throw error;
+      }
+    }
+
+    return includeData.toString().replace(/\r\n/g, "\n").replace(/\n$/, "");
+  });
+}
+
+// How much of PICO-8's code limits some generated code uses on its own; both
+// characters, and bytes once compressed (usually the first to run out, as map
+// strings don't compress well).
+function measureP8CodeBudget(code) {
+  const characters = code.length;
+  const bytes = compressP8Code(code).length;
+  const characterPercent = Math.round(
+    (characters / PICO_CODE_CHARACTERS) * 100
+  );
+  const bytePercent = Math.round((bytes / PICO_CODE_COMPRESSED_BYTES) * 100);
+  return {
+    exceeded:
+      characters > PICO_CODE_CHARACTERS || bytes > PICO_CODE_COMPRESSED_BYTES,
+    description: `${characters} of ${PICO_CODE_CHARACTERS} characters (${characterPercent}%) and ${bytes} of ${PICO_CODE_COMPRESSED_BYTES} compressed bytes (${bytePercent}%)`,
+  };
+}
+
+// Compress code into the ":c:" format, after a header holding the code's
+// length. Each byte is either a common character (1-0x3b), a literal byte
+// following 0x00, or the first of 2 bytes copying up to 17 bytes from up to
+// 3135 bytes back.
+function compressP8Code(code) {
+  const codeBytes = Array.from(code, (char) => {
+    const byte = char.charCodeAt(0);
+    if (byte > 0x7f) {
+      throw new Error(
+        `Code contains "${char}", which can't be written to a binary cart`
+      );
+    }
+    return byte;
+  });
+  const compressed = [
+    ...Buffer.from(P8_CODE_COMPRESSED_HEADER, "latin1"),
+    codeBytes.length >> 8,
+    codeBytes.length & 0xff,
+    0,
+    0,
+  ];
+  // Where each 3 byte sequence starts, to find copies without searching
+  // the whole window
+  const starts = new Map();
+  const keyAt = (index) => codeBytes.slice(index, index + 3).join(",");
+
+  for (let index = 0; index < codeBytes.length; ) {
+    let copyLength = 0;
+    let copyOffset = 0;
+    const candidates = starts.get(keyAt(index)) ?? [];
+
+    for (let i = candidates.length - 1; i >= 0; i--) {
+      const offset = index - candidates[i];
+      if (offset > P8_CODE_MAX_OFFSET) {
+        break;
+      }
+      let length = 0;
+      // Copies never overlap the bytes they produce
+      while (
+        length < P8_CODE_MAX_LENGTH &&
+        length < offset &&
+        index + length < codeBytes.length &&
+        codeBytes[candidates[i] + length] === codeBytes[index + length]
+      ) {
+        length++;
+      }
+      if (length > copyLength) {
+        copyLength = length;
+        copyOffset = offset;
+      }
+    }
+
+    // A copy of 2 bytes is no smaller than 2 common characters
+    const length = copyLength >= 3 ? copyLength : 1;
+    if (length > 1) {
+      compressed.push(
+        0x3c + (copyOffset >> 4),
+        ((copyLength - 2) << 4) | (copyOffset & 0xf)
+      );
+    } else {
+      const character = P8_CODE_CHARACTERS.indexOf(
+        String.fromCharCode(codeBytes[index])
+      );
+      compressed.push(
+        ...(character === -1 ? [0, codeBytes[index]] : [character + 1])
+      );
+    }
+
+    for (let i = index; i < index + length; i++) {
+      const key = keyAt(i);
+      if (!starts.has(key)) {
+        starts.set(key, []);
+      }
+      starts.get(key).push(i);
+    }
+    index += length;
+  }
+
+  return compressed;
+}
+
+/**
+ * Convert a .p8 cart (either its text contents, or already parsed with
+ * `parseP8Cart()` / `loadP8Cart()`) into the 32K ROM image PICO-8 loads;
+ * sprites, map, flags, music, sfx & compressed code.
+ *
+ * `#include` lines in the code are replaced with the contents of the file,
+ * relative to `includeDir`.
+ *
+ * Returns a Buffer of the ROM.
+ */
+function convertP8CartToRom(cartData, { includeDir } = {}) {
+  const cart = typeof cartData === "string" ? parseP8Cart(cartData) : cartData;
+  const rom = Buffer.alloc(P8_ROM_SIZE);
+  const gfxPixels = decodeP8GfxPixels(cart);
+
+  for (let i = 0; i < gfxPixels.length; i += 2) {
+    // The left pixel is in the low nibble
+    rom[i / 2] = gfxPixels[i] | (gfxPixels[i + 1] << 4);
   }
+  rom.set(decodeP8MapCells(cart, gfxPixels, false), P8_ROM_MAP_OFFSET);
+  rom.set(decodeP8SpriteFlags(cart), P8_ROM_GFF_OFFSET);
+  rom.set(decodeP8Music(cart), P8_ROM_MUSIC_OFFSET);
+  rom.set(decodeP8Sfx(cart), P8_ROM_SFX_OFFSET);
 
-  x1 = Math.max(r1x, r2x);
-  y1 = Math.max(r1y, r2y);
+  const code = compressP8Code(
+    resolveP8CodeIncludes(
+      (cart.sections.find(({ name }) => name === "__lua__")?.lines ?? []).join(
+        "\n"
+      ),
+      includeDir
+    )
+  );
+  if (code.length > P8_ROM_SIZE - P8_ROM_CODE_OFFSET) {
+    throw new Error(
+      `Code compresses to ${code.length} bytes, but only ${
+        P8_ROM_SIZE - P8_ROM_CODE_OFFSET
+      } fit in a binary cart`
+    );
+  }
+  rom.set(code, P8_ROM_CODE_OFFSET);
 
-  x2 = Math.min(r1x + r1width, r2x + r2width);
-  y2 = Math.min(r1y + r1height, r2y + r2height);
+  return rom;
+}
+
+/**
+ * Convert a .p8 cart (as for `convertP8CartToRom()`) into a .p8.png; a
+ * cartridge image showing the cart's `__label__` (when it has one) with the
+ * ROM hidden in the low 2 bits of each pixel's channels.
+ *
+ * Returns a Buffer of the PNG.
+ */
+async function convertP8CartToPng(cartData, options) {
+  const cart = typeof cartData === "string" ? parseP8Cart(cartData) : cartData;
+  const version = Number(
+    cart.header.join("\n").match(/^version (\d+)$/m)?.[1] ?? P8_DEFAULT_VERSION
+  );
+  const data = [...convertP8CartToRom(cart, options), version];
+  const labelLines =
+    cart.sections.find(({ name }) => name === "__label__")?.lines ?? [];
+  const body = pico8ColorToRgb(P8_PNG_BODY_COLOR);
+  const image = new jimp(
+    P8_PNG_WIDTH,
+    P8_PNG_HEIGHT,
+    jimp.rgbaToInt(body.R, body.G, body.B, 255)
+  );
+
+  for (let y = 0; y < PICO_SPRITE_HEIGHT_PX; y++) {
+    for (let x = 0; x < PICO_SPRITE_WIDTH_PX; x++) {
+      // Label colors 0-f, then g-v for the secret palette
+      const color = parseInt(labelLines[y]?.[x] ?? "0", 32) || 0;
+      const { R, G, B } = pico8ColorToRgb(
+        color < 16 ? color : color - 16 + SECRET_PALETTE_FROM
+      );
+      image.setPixelColor(
+        jimp.rgbaToInt(R, G, B, 255),
+        P8_PNG_LABEL_X + x,
+        P8_PNG_LABEL_Y + y
+      );
+    }
+  }
+
+  for (let i = 0; i < P8_PNG_WIDTH * P8_PNG_HEIGHT; i++) {
+    const byte = data[i] ?? 0;
+    const index = i * 4;
+    // Stored as ARGB, with the most significant bits in alpha
+    [(byte >> 4) & 3, (byte >> 2) & 3, byte & 3, (byte >> 6) & 3].forEach(
+      (bits, channel) => {
+        image.bitmap.data[index + channel] =
+          (image.bitmap.data[index + channel] & ~3) | bits;
+      }
+    );
+  }
 
-  return { x1, y1, x2, y2, width: x2 - x1, height: y2 - x1 };
+  return image.getBufferAsync(jimp.MIME_PNG);
 }
 
-/*
- Take something like:
-  enumTags: [
-    { enumValueId: "Ground", tileIds: [1, 2] }, // index "0"
-    { enumValueId: "Spikes", tileIds: [] }, // index "1"
-    { enumValueId: "Grass", tileIds: [2, 4] }, // index "2"
-    { enumValueId: "Player", tileIds: [5] }, // index "3"
-  ],
+function paletteNumberToHex(paletteNumber) {
+  return rgbToHex(PALETTE[paletteNumber]).toUpperCase();
+}
 
-  and convert it into:
- 
-  [[], [0], [0, 2], [], [2], [3]]
-*/
-function extractLtdkTilesetEnum(ldtkTileset, clipRect) {
-  const levelWidth = ldtkTileset.__cWid;
-  const levelHeight = ldtkTileset.__cHei;
-  const enums = [];
+// Create an LDtk project modeled on pico8-project.ldtk; a single tileset
+// representing the PICO-8 sprite sheet with an Enum for sprite flags, and a
+// single level with one Tiles layer representing the PICO-8 map.
+function createLdtkProject({
+  tilesetRelPath,
+  enumTags,
+  mapCells,
+  mapHeightCells,
+  palt,
+}) {
+  const tilesetUid = 2;
+  const layerUid = 70;
+  const enumUid = 90;
+  const paltFieldUid = 94;
 
-  const { x1, y1, x2, y2, width, height } = intersectRects(clipRect, {
+  const gridTiles = [];
+  mapCells.forEach((sprite, index) => {
+    // Sprite 0 is an empty map cell in PICO-8
+    if (sprite === 0) {
+      return;
+    }
+    const x = index % PICO_MAP_WIDTH_CELLS;
+    const y = Math.floor(index / PICO_MAP_WIDTH_CELLS);
+    gridTiles.push({
+      px: [x * 8, y * 8],
+      src: [
+        (sprite % PICO_SPRITE_WIDTH_CELLS) * 8,
+        Math.floor(sprite / PICO_SPRITE_WIDTH_CELLS) * 8,
+      ],
+      f: 0,
+      t: sprite,
+      d: [index],
+      a: 1,
+    });
+  });
+
+  return {
+    __header__: {
+      fileType: "LDtk Project JSON",
+      app: "LDtk",
+      doc: "https://ldtk.io/json",
+      schema: "https://ldtk.io/files/JSON_SCHEMA.json",
+      appAuthor: "Sebastien 'deepnight' Benard",
+      appVersion: "1.3.3",
+      url: "https://ldtk.io",
+    },
+    iid: crypto.randomUUID(),
+    jsonVersion: "1.3.3",
+    appBuildId: 467698,
+    nextUid: 95,
+    identifierStyle: "Capitalize",
+    toc: [],
+    worldLayout: "Free",
+    worldGridWidth: PICO_MAP_WIDTH_PX,
+    worldGridHeight: PICO_MAP_HEIGHT_PX,
+    defaultLevelWidth: 128,
+    defaultLevelHeight: 128,
+    defaultPivotX: 0,
+    defaultPivotY: 0,
+    defaultGridSize: 8,
+    bgColor: "#40465B",
+    defaultLevelBgColor: "#000000",
+    minifyJson: false,
+    externalLevels: false,
+    exportTiled: false,
+    simplifiedExport: false,
+    imageExportMode: "None",
+    exportLevelBg: true,
+    pngFilePattern: null,
+    backupOnSave: false,
+    backupLimit: 10,
+    backupRelPath: null,
+    levelNamePattern: "Level_%idx",
+    tutorialDesc: null,
+    customCommands: [],
+    flags: [],
+    defs: {
+      layers: [
+        {
+          __type: "Tiles",
+          identifier: "My_Tiles",
+          type: "Tiles",
+          uid: layerUid,
+          doc: null,
+          uiColor: null,
+          gridSize: 8,
+          guideGridWid: 0,
+          guideGridHei: 0,
+          displayOpacity: 1,
+          inactiveOpacity: 1,
+          hideInList: false,
+          hideFieldsWhenInactive: false,
+          canSelectWhenInactive: true,
+          renderInWorldView: true,
+          pxOffsetX: 0,
+          pxOffsetY: 0,
+          parallaxFactorX: 0,
+          parallaxFactorY: 0,
+          parallaxScaling: true,
+          requiredTags: [],
+          excludedTags: [],
+          intGridValues: [],
+          autoRuleGroups: [],
+          autoSourceLayerDefUid: null,
+          tilesetDefUid: tilesetUid,
+          tilePivotX: 0,
+          tilePivotY: 0,
+        },
+      ],
+      entities: [],
+      tilesets: [
+        {
+          __cWid: PICO_SPRITE_WIDTH_CELLS,
+          __cHei: PICO_SPRITE_HEIGHT_CELLS,
+          identifier: "Tileset",
+          uid: tilesetUid,
+          relPath: tilesetRelPath,
+          embedAtlas: null,
+          pxWid: PICO_SPRITE_WIDTH_PX,
+          pxHei: PICO_SPRITE_HEIGHT_PX,
+          tileGridSize: 8,
+          spacing: 0,
+          padding: 0,
+          tags: [],
+          tagsSourceEnumUid: enumUid,
+          enumTags,
+          customData: [],
+          savedSelections: [],
+          cachedPixelData: null,
+        },
+      ],
+      enums: [
+        {
+          identifier: "Sprite_Flags",
+          uid: enumUid,
+          values: enumTags.map(({ enumValueId }, flag) => ({
+            id: enumValueId,
+            tileRect: null,
+            tileId: -1,
+            // Matches the flag colors in the PICO-8 sprite editor
+            color: parseInt(paletteNumberToHex(8 + flag).slice(1), 16),
+            __tileSrcRect: null,
+          })),
+          iconTilesetUid: null,
+          externalRelPath: null,
+          externalFileChecksum: null,
+          tags: [],
+        },
+      ],
+      externalEnums: [],
+      levelFields: [
+        {
+          identifier: LDTK_PALT_FIELD,
+          doc: null,
+          __type: "Int",
+          uid: paltFieldUid,
+          type: "F_Int",
+          isArray: false,
+          canBeNull: false,
+          arrayMinLength: null,
+          arrayMaxLength: null,
+          editorDisplayMode: "Hidden",
+          editorDisplayScale: 1,
+          editorDisplayPos: "Above",
+          editorLinkStyle: "StraightArrow",
+          editorAlwaysShow: false,
+          editorShowInWorld: false,
+          editorCutLongValues: true,
+          editorTextSuffix: null,
+          editorTextPrefix: null,
+          useForSmartColor: false,
+          min: null,
+          max: null,
+          regex: null,
+          acceptFileTypes: null,
+          defaultOverride: { id: "V_Int", params: [0] },
+          textLanguageMode: null,
+          symmetricalRef: false,
+          autoChainRef: true,
+          allowOutOfLevelRef: true,
+          allowedRefs: "OnlySame",
+          allowedRefsEntityUid: null,
+          allowedRefTags: [],
+          tilesetUid: null,
+        },
+      ],
+    },
+    levels: [
+      {
+        identifier: "Level_0",
+        iid: crypto.randomUUID(),
+        uid: 0,
+        worldX: 0,
+        worldY: 0,
+        worldDepth: 0,
+        pxWid: PICO_MAP_WIDTH_PX,
+        pxHei: mapHeightCells * 8,
+        __bgColor: paletteNumberToHex(palt),
+        bgColor: paletteNumberToHex(palt),
+        useAutoIdentifier: true,
+        bgRelPath: null,
+        bgPos: null,
+        bgPivotX: 0.5,
+        bgPivotY: 0.5,
+        __smartColor: "#737373",
+        __bgPos: null,
+        externalRelPath: null,
+        fieldInstances: [
+          {
+            __identifier: LDTK_PALT_FIELD,
+            __type: "Int",
+            __value: palt,
+            __tile: null,
+            defUid: paltFieldUid,
+            realEditorValues: [{ id: "V_Int", params: [palt] }],
+          },
+        ],
+        layerInstances: [
+          {
+            __identifier: "My_Tiles",
+            __type: "Tiles",
+            __cWid: PICO_MAP_WIDTH_CELLS,
+            __cHei: mapHeightCells,
+            __gridSize: 8,
+            __opacity: 1,
+            __pxTotalOffsetX: 0,
+            __pxTotalOffsetY: 0,
+            __tilesetDefUid: tilesetUid,
+            __tilesetRelPath: tilesetRelPath,
+            iid: crypto.randomUUID(),
+            levelId: 0,
+            layerDefUid: layerUid,
+            pxOffsetX: 0,
+            pxOffsetY: 0,
+            visible: true,
+            optionalRules: [],
+            intGridCsv: [],
+            autoLayerTiles: [],
+            seed: Math.floor(Math.random() * 9999999),
+            overrideTilesetUid: null,
+            gridTiles,
+            entityInstances: [],
+          },
+        ],
+        __neighbours: [],
+      },
+    ],
+    worlds: [],
+    dummyWorldIid: crypto.randomUUID(),
+  };
+}
+
+/**
+ * Convert an LDtk project into PICO-8 cart data.
+ *
+ * `ldtk` is either the path to an LDtk project file, or its already-parsed
+ * JSON. Tileset images are loaded relative to the project (`ldtkFilePath`
+ * when passing JSON) unless given in `images` keyed by the tileset's `relPath`
+ * as a Buffer or file path.
+ *
+ * `colorMatch` is how tileset pixels are matched to PICO-8 colors; "strict",
+ * "nearest", or "dither".
+ *
+ * `levels` is the identifiers of the levels to export (all by default).
+ *
+ * `pal` overrides the display palette set by the `pico8_pal` level field; an
+ * array of up to 16 PICO-8 color numbers (0-15, or 128-143 for the secret
+ * palette).
+ *
+ * `palt` overrides the transparent color set by the `pico8_palt` level field.
+ *
+ * `spriteArea` and `mapArea` limit the tilesets to an area of the sprite
+ * sheet (in sprites), and the levels to an area of the map (in cells), as
+ * "x,y,width,height".
+ *
+ * `overlapStrategy` is how map & sprite data sharing the bottom half of the
+ * sprite sheet is combined; "error", "merge", "map", or "sprite". When
+ * `overlapReport` is true, an image of the shared area with any conflicts
+ * highlighted is returned as `overlapReport`, a PNG Buffer (also set on the
+ * error when conflicts stop the export).
+ *
+ * `intGrid` exports the values of IntGrid layers, keyed by the layer's
+ * identifier; "flags", "map:x,y", or "lua" (eg; `{ Collisions: "flags" }`).
+ *
+ * `layerRegions` routes layers into their own rectangle of the map, keyed by
+ * the layer's identifier as "x,y" or "x,y,width,height" in cells (layers named
+ * with an "_at_x_y" suffix are routed too).
+ *
+ * `mapOutput` is "map" to place levels in the PICO-8 map, or "lua" to compress
+ * each level (at any size) into a string in the `levels` table instead, to be
+ * loaded into the map with `load_map()`.
+ *
+ * `label` renders 16x16 cells of the map into a `__label__` section; either
+ * "x,y" (in cells of the map), or `true` to start from the `pico8_label` Point
+ * level field (or the top-left of the map).
+ *
+ * `compact` drops sprites which aren't used and packs the rest toward the top
+ * of the sprite sheet. Sprites in `pin` (or tiles tagged `pico8_pin`) are
+ * always kept, and keep their sprite number.
+ *
+ * Returns the `__gfx__`, `__gff__`, and `__map__` section lines ready for
+ * `writeP8Cart()`, the Lua lines for the display palette & `levels` table, and
+ * any warnings as `[{ type: "warn" | "info", message }]`. When layers are
+ * routed, `mapRegions` lists the areas of the map to draw (bottom layer first)
+ * as `[{ identifier, x, y, width, height }]`. `mapSize` is the
+ * `{ width, height }` of the map (in cells) the levels cover, and
+ * `entitiesLua` is a Lua table of every level's entities.
+ */
+async function convertProject(
+  ldtk,
+  {
+    ldtkFilePath = typeof ldtk === "string" ? ldtk : undefined,
+    images = {},
+    levelLayout = "world",
+    entities = "map",
+    overlapStrategy = "error",
+    colorMatch = "nearest",
+    pal: palOverride,
+    compact = false,
+    pin = [],
+    overlapReport,
+    intGrid,
+    layerRegions: layerRegionsOption,
+    mapOutput = "map",
+    label,
+    levels: levelIdentifiers,
+    palt: paltOverride,
+    spriteArea,
+    mapArea,
+    extendedMap,
+  } = {}
+) {
+  const warnings = [];
+  const ldtkProject = typeof ldtk === "string" ? loadLdtkProject(ldtk) : ldtk;
+  validateLdtkProject(
+    selectLdtkLevels(extractLdtkLevels(ldtkProject), levelIdentifiers),
+    ldtkProject,
+    Object.keys(intGrid ?? {}),
+    warnings
+  );
+  // From here on, every tile is 8x8
+  const ldtkJson = splitLdtkMetaTiles(ldtkProject, warnings);
+  const ldtkLevels = selectLdtkLevels(
+    extractLdtkLevels(ldtkJson),
+    levelIdentifiers
+  );
+  if (!["map", "lua"].includes(mapOutput)) {
+    throw new Error(`Unknown map output "${String(mapOutput)}"`);
+  }
+  if (!["strict", "nearest", "dither"].includes(colorMatch)) {
+    throw new Error(`Unknown color match "${String(colorMatch)}"`);
+  }
+  const mapAsLua = mapOutput === "lua";
+  if (mapAsLua && mapArea) {
+    throw new Error("A map area can't be used when exporting the map as Lua");
+  }
+  if (mapAsLua && extendedMap) {
+    throw new Error(
+      "The extended map can't be used when exporting the map as Lua"
+    );
+  }
+  // The extended map is as wide as asked for (or 256 cells), and as tall as
+  // fits in upper memory
+  const extendedMapWidth =
+    extendedMap === true
+      ? PICO_EXTENDED_MAP_MAX_WIDTH_CELLS
+      : extendedMap && Number(extendedMap);
+  if (
+    extendedMap &&
+    !(
+      Number.isInteger(extendedMapWidth) &&
+      extendedMapWidth > 0 &&
+      extendedMapWidth <= PICO_EXTENDED_MAP_MAX_WIDTH_CELLS
+    )
+  ) {
+    throw new Error(
+      `Invalid extended map width "${extendedMap}"; use a number of cells from 1 to ${PICO_EXTENDED_MAP_MAX_WIDTH_CELLS}.`
+    );
+  }
+  if (paltOverride != null && !isPaletteNumber(paltOverride)) {
+    throw new Error(
+      `Invalid transparent color "${paltOverride}"; use a PICO-8 color number from 0 to 15.`
+    );
+  }
+  const invalidPin = [].concat(pin).find((sprite) => !isPinnableSprite(sprite));
+  if (invalidPin !== undefined) {
+    throw new Error(
+      `Invalid pinned sprite "${invalidPin}"; use sprite numbers from 1 to 255.`
+    );
+  }
+  const mapBounds = extendedMap
+    ? {
+        width: extendedMapWidth,
+        height: Math.floor(PICO_EXTENDED_MAP_BYTES / extendedMapWidth),
+      }
+    : { width: PICO_MAP_WIDTH_CELLS, height: PICO_MAP_HEIGHT_CELLS };
+  const mapRect = mapArea
+    ? parseCellRect(mapArea, "map area", mapBounds)
+    : { x: 0, y: 0, ...mapBounds };
+  const spriteRect = spriteArea
+    ? parseCellRect(spriteArea, "sprite area", {
+        width: PICO_SPRITE_WIDTH_CELLS,
+        height: PICO_SPRITE_HEIGHT_CELLS,
+      })
+    : {
+        x: 0,
+        y: 0,
+        width: PICO_SPRITE_WIDTH_CELLS,
+        height: PICO_SPRITE_HEIGHT_CELLS,
+      };
+  let levelPlacements = mapAsLua
+    ? placeLdtkLevelsForLua(ldtkLevels)
+    : layoutLdtkLevels(
+        ldtkLevels,
+        ldtkJson.worldLayout,
+        levelLayout,
+        mapRect,
+        mapBounds,
+        warnings
+      );
+  const stampEntities = entities !== "lua";
+  const layerRegions = parseLdtkLayerRegions(
+    ldtkJson,
+    layerRegionsOption,
+    mapBounds
+  );
+  const intGridModes = parseLdtkIntGridModes(intGrid);
+  if (
+    mapAsLua &&
+    (layerRegions.size || intGridModes.some(({ mode }) => mode === "map"))
+  ) {
+    throw new Error(
+      "Layer regions and IntGrid map markers can't be used when exporting the map as Lua"
+    );
+  }
+  intGridModes.forEach(({ identifier, mode }) => {
+    const layers = ldtkLevels
+      .map((level) => findLdtkIntGridLayer(level, identifier))
+      .filter(Boolean);
+    if (!layers.length) {
+      warnings.push({
+        type: "warn",
+        message: `No IntGrid layer named "${identifier}" to export.`,
+      });
+    } else if (
+      mode === "lua" &&
+      layers.some((layer) => layer.intGridCsv.some((value) => value > 15))
+    ) {
+      warnings.push({
+        type: "warn",
+        message: `IntGrid layer "${identifier}" has values above 15, which are stored as 15 in Lua.`,
+      });
+    }
+  });
+  const usedTilesets = extractLtdkTilesets(
+    ldtkLevels,
+    ldtkJson,
+    { stampEntities },
+    warnings
+  );
+
+  const palts = ldtkLevels.map(extractLtdkPalTField);
+  const palt =
+    paltOverride ?? palts.find((levelPalt) => levelPalt != null) ?? 0;
+
+  if (
+    paltOverride == null &&
+    palts.some((levelPalt) => levelPalt != null && levelPalt !== palt)
+  ) {
+    warnings.push({
+      type: "warn",
+      message: `Levels have different "${LDTK_PALT_FIELD}" values; using ${palt} for all levels.`,
+    });
+  }
+
+  const levelPals = ldtkLevels.map(extractLtdkPalField);
+  const pal = normalizePico8Pal(
+    palOverride ?? levelPals.find((levelPal) => levelPal != null)
+  );
+
+  if (
+    !palOverride &&
+    levelPals.some(
+      (levelPal) =>
+        levelPal != null &&
+        normalizePico8Pal(levelPal).some((color, slot) => color !== pal[slot])
+    )
+  ) {
+    warnings.push({
+      type: "warn",
+      message: `Levels have different "${LDTK_PAL_FIELD}" values; using ${pal.join(
+        ","
+      )} for all levels.`,
+    });
+  }
+
+  const spriteSheetRect = {
     x: 0,
     y: 0,
-    width: levelWidth,
-    height: levelHeight,
-  });
+    width: PICO_SPRITE_WIDTH_PX,
+    height: PICO_SPRITE_HEIGHT_PX,
+  };
+  const spriteCount = PICO_SPRITE_WIDTH_CELLS * PICO_SPRITE_HEIGHT_CELLS;
+  const isInSpriteRect = (sprite) =>
+    sprite % PICO_SPRITE_WIDTH_CELLS >= spriteRect.x &&
+    sprite % PICO_SPRITE_WIDTH_CELLS < spriteRect.x + spriteRect.width &&
+    Math.floor(sprite / PICO_SPRITE_WIDTH_CELLS) >= spriteRect.y &&
+    Math.floor(sprite / PICO_SPRITE_WIDTH_CELLS) <
+      spriteRect.y + spriteRect.height;
+  const tilesetPaths = usedTilesets.map(({ tileset }) =>
+    resolveLdtkTilesetPath(tileset, ldtkFilePath)
+  );
+  let spriteLookup;
+  let ldtkTilesetPixels;
+  let ldtkTilesetEnum;
+
+  if (usedTilesets.length > 1) {
+    const packed = packLdtkTilesets(
+      usedTilesets,
+      Array.from({ length: spriteCount }, (_, sprite) => sprite).filter(
+        (sprite) => sprite > 0 && isInSpriteRect(sprite)
+      ),
+      warnings
+    );
+    spriteLookup = packed.spriteLookup;
+    ldtkTilesetPixels = [];
+    ldtkTilesetEnum = Array.from({ length: spriteCount }, () => []);
+
+    for (const [index, { tileset }] of usedTilesets.entries()) {
+      const tilesetRect = {
+        x: 0,
+        y: 0,
+        width: tileset.pxWid,
+        height: tileset.pxHei,
+      };
+      const pixels = await loadLdtkTilesetPixels(
+        tileset,
+        images[tileset.relPath] ?? tilesetPaths[index],
+        palt,
+        pal,
+        colorMatch,
+        tilesetRect,
+        // Pixels are read from the whole tileset, before its tiles are packed
+        (tileId) => {
+          const { x, y } = ldtkTilePosition(tileset, tileId);
+          const sprite = spriteLookup(tileset.uid, x, y);
+          const tile = `tile ${tileId} of tileset "${tileset.identifier}"`;
+          return sprite != null ? `sprite ${sprite} from ${tile}` : tile;
+        },
+        warnings
+      );
+      const tilesetEnum = extractLtdkTilesetEnum(
+        tileset,
+        { x: 0, y: 0, width: tileset.__cWid, height: tileset.__cHei },
+        warnings
+      );
 
-  if ((ldtkTileset.enumTags ?? []).length > 8) {
-    console.warn(
-      `[warn] Skipping tileset Enums after the first 8; PICO-8 can only have up to 8 sprite flags. [uid ${ldtkTileset.uid}]`
+      packed.sprites.forEach((packedSprite, sprite) => {
+        if (packedSprite?.tileset !== tileset) {
+          return;
+        }
+        const { x: tileX, y: tileY } = ldtkTilePosition(
+          tileset,
+          packedSprite.tileId
+        );
+        const spritePixels = [];
+        for (let y = 0; y < 8; y++) {
+          for (let x = 0; x < 8; x++) {
+            // Tiles hanging off the edge of the image are transparent
+            spritePixels.push(
+              pixels[(tileY + y) * tileset.pxWid + tileX + x] ?? palt
+            );
+          }
+        }
+        setSpritePixels(ldtkTilesetPixels, sprite, spritePixels);
+        ldtkTilesetEnum[sprite] = tilesetEnum[packedSprite.tileId];
+      });
+    }
+  } else {
+    const ldtkTileset = usedTilesets[0]?.tileset;
+    spriteLookup = createSpriteSheetLookup({
+      x: spriteRect.x * 8,
+      y: spriteRect.y * 8,
+      width: spriteRect.width * 8,
+      height: spriteRect.height * 8,
+    });
+    ldtkTilesetPixels = await loadLdtkTilesetPixels(
+      ldtkTileset,
+      images[ldtkTileset?.relPath] ?? tilesetPaths[0],
+      palt,
+      pal,
+      colorMatch,
+      spriteSheetRect,
+      (sprite) => `sprite ${sprite}`,
+      warnings
     );
+    ldtkTilesetEnum = ldtkTileset
+      ? extractLtdkTilesetEnum(
+          ldtkTileset,
+          {
+            x: 0,
+            y: 0,
+            width: PICO_SPRITE_WIDTH_CELLS,
+            height: PICO_SPRITE_HEIGHT_CELLS,
+          },
+          warnings
+        )
+      : [];
+
+    // Tiles outside the sprite area aren't exported
+    for (let sprite = 0; sprite < spriteCount; sprite++) {
+      if (!isInSpriteRect(sprite) && ldtkTilesetEnum[sprite]) {
+        setSpritePixels(ldtkTilesetPixels, sprite, Array(64).fill(0));
+        ldtkTilesetEnum[sprite] = [];
+      }
+    }
   }
 
-  (ldtkTileset.enumTags ?? []).slice(0, 8).forEach((enumTag, index) => {
-    // Tile IDs are 0-based
-    (enumTag.tileIds ?? []).forEach((tileId) => {
-      // Figure out the x/y based on the ID
-      const tileX = tileId % levelWidth;
-      const tileY = Math.floor(tileId / levelWidth);
+  // Each level is drawn into its own area of the map, and routed layers are
+  // drawn into their region at the same offset as the level.
+  const ldtkFlatTiles = [];
+  // Areas of the map already drawn into, to catch routed layers overlapping
+  const mapAreas = levelPlacements
+    .filter(({ level }) =>
+      level.layerInstances.some(
+        (layer) => layer.visible && !layerRegions.has(layer.__identifier)
+      )
+    )
+    .map(({ level, x, y, width, height }) => ({
+      name: `level "${level.identifier}"`,
+      x,
+      y,
+      width,
+      height,
+    }));
+  levelPlacements.forEach(({ level, x, y, width, height, offset }) => {
+    extractLdtkFlatTiles(
+      level,
+      mapAsLua
+        ? { x: 0, y: 0, width: width * 8, height: height * 8 }
+        : {
+            x: x * 8,
+            y: y * 8,
+            width: Math.min(width, mapRect.x + mapRect.width - x) * 8,
+            height: Math.min(height, mapRect.y + mapRect.height - y) * 8,
+          },
+      spriteLookup,
+      {
+        stampEntities,
+        includeLayer: (layer) => !layerRegions.has(layer.__identifier),
+        mapWidth: mapAsLua ? width : mapBounds.width,
+      },
+      warnings
+    ).forEach((spriteIndex, mapIndex) => {
+      ldtkFlatTiles[(offset ?? 0) + mapIndex] = spriteIndex;
+    });
 
-      // Don't include tiles that are outside the specified area
-      if (tileX < x2 && tileY < y2) {
-        enumId = (tileY - y1) * width + (tileX - x1);
-        enums[enumId] = enums[enumId] || [];
-        enums[enumId].push(index);
+    layerRegions.forEach((region, identifier) => {
+      if (
+        !level.layerInstances.some(
+          (layer) => layer.__identifier === identifier && layer.visible
+        )
+      ) {
+        return;
+      }
+
+      const regionX = region.x + x - mapRect.x;
+      const regionY = region.y + y - mapRect.y;
+      const regionWidth = Math.min(width, region.x + region.width - regionX);
+      const regionHeight = Math.min(height, region.y + region.height - regionY);
+      if (regionWidth < width || regionHeight < height) {
+        warnings.push({
+          type: "warn",
+          message: `Layer "${identifier}" of level "${
+            level.identifier
+          }" (${width}x${height}) doesn't fit its map region at ${regionX},${regionY} (${Math.max(
+            regionWidth,
+            0
+          )}x${Math.max(regionHeight, 0)}); it will be clipped.`,
+        });
+      }
+
+      const area = {
+        name: `Layer "${identifier}" of level "${level.identifier}"`,
+        x: regionX,
+        y: regionY,
+        width: regionWidth,
+        height: regionHeight,
+      };
+      const overlapping = mapAreas.find((other) => rectsOverlap(other, area));
+      if (overlapping) {
+        warnings.push({
+          type: "warn",
+          message: `${area.name} overlaps ${overlapping.name} in the PICO-8 map.`,
+        });
+      }
+      mapAreas.push(area);
+
+      if (regionWidth <= 0 || regionHeight <= 0) {
+        return;
       }
+
+      extractLdtkFlatTiles(
+        level,
+        {
+          x: regionX * 8,
+          y: regionY * 8,
+          width: regionWidth * 8,
+          height: regionHeight * 8,
+        },
+        spriteLookup,
+        {
+          stampEntities,
+          includeLayer: (layer) => layer.__identifier === identifier,
+          mapWidth: mapBounds.width,
+        },
+        warnings
+      ).forEach((spriteIndex, mapIndex) => {
+        ldtkFlatTiles[mapIndex] = spriteIndex;
+      });
     });
   });
 
-  // May have created a sparse array, so fill in the blanks
-  for (let i = 0; i < width * height; i++) {
-    enums[i] = enums[i] ?? [];
-  }
+  intGridModes
+    .filter(({ mode }) => mode === "flags")
+    .forEach(({ identifier }) => {
+      ldtkTilesetEnum = applyLdtkIntGridFlags(
+        ldtkFlatTiles,
+        ldtkTilesetEnum,
+        levelPlacements,
+        identifier,
+        mapBounds.width,
+        warnings
+      );
+    });
 
-  return enums;
-}
+  const applyIntGridMarkers = (tiles, markerWarnings) =>
+    intGridModes
+      .filter(({ mode }) => mode === "map")
+      .reduce(
+        (markedTiles, intGridMode) =>
+          applyLdtkIntGridMarkers(
+            markedTiles,
+            levelPlacements,
+            intGridMode,
+            mapBounds,
+            markerWarnings
+          ),
+        tiles
+      );
 
-function convertLdtkTilesetEnumToP8SpriteFlags(ldtkTilesetEnum) {
-  const flagsArray = ldtkTilesetEnum.map((indexes) => {
-    return indexes.reduce((value, index) => {
-      return value | (1 << index);
-    }, 0);
-  });
-  const flagData = arrayToHexString(flagsArray, PICO_FLAGS_DATA_NIBBLES, 0);
-  return splitPICODataIntoLines(
-    flagData,
-    PICO_FLAGS_WIDTH,
-    PICO_FLAGS_DATA_NIBBLES
+  let { flatTiles, gfxPixels, tilesetEnum } = resolveFlippedTiles(
+    ldtkFlatTiles,
+    ldtkTilesetPixels,
+    ldtkTilesetEnum,
+    palt,
+    spriteCount,
+    // Only the PICO-8 map can spill into the sprite sheet, including the
+    // IntGrid markers added to it later (their warnings are given then)
+    mapAsLua || extendedMap
+      ? new Set()
+      : new Set(
+          findSharedAreaConflicts(
+            applyIntGridMarkers(ldtkFlatTiles, []),
+            []
+          ).mapCells.keys()
+        ),
+    warnings
   );
-}
 
-async function main() {
-  const argv = yargs(hideBin(process.argv))
-    .usage("Usage: $0 <LDtk project file> [options]")
-    .demandCommand(1, "Must provide an LDtk project file")
-    .option("o", {
-      alias: "output",
-      type: "string",
-      describe: "Exported PICO-8 cart filename",
-    })
-    .option("s", {
-      alias: "overlap-strategy",
-      describe: "How to handle overlapping sprite & map data",
-      choices: ["error", "sprite", "map"],
-      default: "error",
-    })
-    .demandOption("output")
-    .help().argv;
-
-  const ldtkFilePath = path.resolve(process.cwd(), argv._[0]);
-  const ldtk = loadLdtkProject(ldtkFilePath);
-  const ldtkLevel = extractLdtkLevel(ldtk);
-  const ldtkTileset = extractLtdkTileset(ldtkLevel, ldtk);
-  const ldtkTilesetEnum = extractLtdkTilesetEnum(ldtkTileset, {
-    x: 0,
-    y: 0,
-    width: PICO_SPRITE_WIDTH_CELLS,
-    height: PICO_SPRITE_HEIGHT_CELLS,
+  // Tile fields of tilesets which weren't exported have no sprite
+  const tileToSprite = (tile) =>
+    usedTilesets.some(({ tileset }) => tileset.uid === tile.tilesetUid)
+      ? spriteLookup(tile.tilesetUid, tile.x, tile.y)
+      : undefined;
+
+  // Animated tiles cycle through the sprites of their frames
+  const animations = [];
+  usedTilesets.forEach(({ tileset, tileIds }) => {
+    extractLdtkTileAnimations(tileset, warnings)
+      .filter((animation) =>
+        animation.tileIds.every((frameTileId) => tileIds.includes(frameTileId))
+      )
+      .forEach((animation) => {
+        const sprites = animation.tileIds.map((frameTileId) =>
+          tileToSprite({
+            tilesetUid: tileset.uid,
+            ...ldtkTilePosition(tileset, frameTileId),
+          })
+        );
+        if (sprites.some((sprite) => sprite == null)) {
+          warnings.push({
+            type: "warn",
+            message: `Tile ${animation.tileId} in tileset "${tileset.identifier}" has animation frames outside the PICO-8 sprite area; it won't be animated.`,
+          });
+          return;
+        }
+        // Every tile of an animation usually has the same "anim:" line
+        if (
+          animations.some(
+            (other) =>
+              other.fps === animation.fps &&
+              other.sprites.join() === sprites.join()
+          )
+        ) {
+          return;
+        }
+        const shared = sprites.find((sprite) =>
+          animations.some((other) => other.sprites.includes(sprite))
+        );
+        if (shared != null) {
+          warnings.push({
+            type: "warn",
+            message: `Sprite ${shared} is a frame of more than one animation; map cells using it only follow the last.`,
+          });
+        }
+        animations.push({ fps: animation.fps, sprites });
+      });
   });
-  const ldtkFlatTiles = extractLdtkFlatTiles(
-    ldtkLevel,
-    {
-      x: 0,
-      y: 0,
-      width: PICO_MAP_WIDTH_PX,
-      height: PICO_MAP_HEIGHT_PX,
-    },
-    {
-      x: 0,
-      y: 0,
-      width: PICO_SPRITE_WIDTH_PX,
-      height: PICO_SPRITE_HEIGHT_PX,
+
+  let spriteMap;
+  if (compact) {
+    const pinnedSprites = [
+      ...pin,
+      ...usedTilesets.flatMap(({ tileset }) =>
+        extractLtdkPinnedTileIds(tileset).map((tileId) => {
+          const { x, y } = ldtkTilePosition(tileset, tileId);
+          return spriteLookup(tileset.uid, x, y);
+        })
+      ),
+    ].filter((sprite) => sprite != null);
+    ({ flatTiles, gfxPixels, tilesetEnum, spriteMap } = compactSprites(
+      flatTiles,
+      gfxPixels,
+      tilesetEnum,
+      {
+        keepSprites: [
+          ...extractLdtkTileFieldValues(ldtkLevels)
+            .map(tileToSprite)
+            .filter((sprite) => sprite != null),
+          ...animations.flatMap(({ sprites }) => sprites),
+        ],
+        pinnedSprites,
+      },
+      spriteCount,
+      warnings
+    ));
+  }
+
+  // Markers are data rather than sprites, so are added after compacting
+  flatTiles = applyIntGridMarkers(flatTiles, warnings);
+
+  let labelData;
+  if (label) {
+    // Coordinates are cells of the PICO-8 map (or the first level when it's
+    // exported as Lua), otherwise the first level with a label field is used.
+    const labelPosition =
+      label === true
+        ? []
+        : String(label)
+            .match(/^(\d+),(\d+)$/)
+            ?.slice(1);
+    if (!labelPosition) {
+      throw new Error(`Invalid label position "${label}"; use "x,y" in cells.`);
     }
-  );
-  const palt = extractLtdkPalTField(ldtkLevel) ?? 0;
+    const [labelX, labelY] = labelPosition.map(Number);
+    const fieldPlacement = levelPlacements.find(({ level }) =>
+      extractLtdkLabelField(level)
+    );
+    const labelPlacement =
+      labelX != null || !fieldPlacement
+        ? mapAsLua
+          ? levelPlacements[0]
+          : { x: 0, y: 0, ...mapBounds }
+        : fieldPlacement;
+    const labelField =
+      labelPlacement === fieldPlacement
+        ? extractLtdkLabelField(fieldPlacement.level)
+        : undefined;
+
+    // Positions are never negative, so only the far edges can be missed
+    if (labelX >= labelPlacement.width || labelY >= labelPlacement.height) {
+      throw new Error(
+        `Invalid label position "${label}"; it's outside the ${
+          labelPlacement.width
+        }x${labelPlacement.height} cell ${mapAsLua ? "first level" : "map"}.`
+      );
+    }
+
+    labelData = convertLdtkFlatTilesToP8LabelData(
+      flatTiles,
+      labelPlacement,
+      labelX ?? labelField?.cx ?? 0,
+      labelY ?? labelField?.cy ?? 0,
+      gfxPixels,
+      palt,
+      pal,
+      mapBounds.width
+    );
+  }
+
+  if (mapAsLua) {
+    levelPlacements = levelPlacements.map((placement) => ({
+      ...placement,
+      map: convertLdtkFlatTilesToLuaString(
+        flatTiles,
+        placement.offset,
+        placement.width * placement.height
+      ),
+    }));
+    // Nothing is left for the PICO-8 map itself
+    flatTiles = [];
+
+    levelPlacements.forEach(({ level, width, height, map }) => {
+      warnings.push({
+        type: "info",
+        message: `Level "${
+          level.identifier
+        }" map (${width}x${height}) compressed from ${width * height * 2} to ${
+          map.length
+        } characters.`,
+      });
+    });
+    const budget = measureP8CodeBudget(
+      levelPlacements.map(({ map }) => map).join("\n")
+    );
+    warnings.push({
+      type: budget.exceeded ? "warn" : "info",
+      message: `Compressed maps use ${budget.description}.`,
+    });
+  }
+
+  let extendedMapData;
+  if (extendedMap) {
+    // Trailing empty cells are cleared by the loader rather than stored
+    let length = mapBounds.width * mapBounds.height;
+    while (length > 0 && !flatTiles[length - 1]) {
+      length--;
+    }
+    extendedMapData = {
+      width: mapBounds.width,
+      map: convertLdtkFlatTilesToLuaString(flatTiles, 0, length),
+    };
+    // It's loaded into upper memory, leaving the PICO-8 map empty
+    flatTiles = [];
+
+    const budget = measureP8CodeBudget(extendedMapData.map);
+    warnings.push({
+      type: budget.exceeded ? "warn" : "info",
+      message: `Extended map (${mapBounds.width}x${
+        mapBounds.height
+      }) compressed from ${mapBounds.width * mapBounds.height * 2} to ${
+        extendedMapData.map.length
+      } characters; ${budget.description}.`,
+    });
+  }
+
+  // Rendered before merging so it's available when conflicts stop the export
+  const overlapReportData = overlapReport
+    ? await renderSharedAreaReport(flatTiles, gfxPixels, pal, palt)
+    : undefined;
+
+  try {
+    ({ flatTiles, gfxPixels } = mergeSharedMapIntoGfxPixels(
+      flatTiles,
+      gfxPixels,
+      overlapStrategy,
+      palt,
+      warnings
+    ));
+  } catch (error) {
+    error.overlapReport = overlapReportData;
+    throw error;
+  }
 
-  let p8spriteData = await convertLdtkTilesetToPico8Gfx(
-    ldtkTileset,
-    ldtkFilePath,
+  const exportedTileToSprite = (tile) => {
+    const sprite = tileToSprite(tile);
+    return spriteMap && sprite != null ? spriteMap.get(sprite) : sprite;
+  };
+  const exportedAnimations = animations
+    .map(({ fps, sprites }) => ({
+      fps,
+      sprites: spriteMap
+        ? sprites.map((sprite) => spriteMap.get(sprite))
+        : sprites,
+    }))
+    .filter(({ sprites }) => {
+      // Every empty map cell is sprite 0, so they'd all be animated
+      if (!sprites.includes(0)) {
+        return true;
+      }
+      const spriteList = sprites.join(", ");
+      warnings.push({
+        type: "warn",
+        message: `The animation of sprites ${spriteList} includes sprite 0, which is what empty map cells use; it won't be animated.`,
+      });
+      return false;
+    });
+
+  return {
+    gfx: convertPico8PixelsToGfxData(gfxPixels),
+    gff: convertLdtkTilesetEnumToP8SpriteFlags(tilesetEnum),
+    label: labelData,
+    map: convertLdtkFlatTilesToP8MapData(flatTiles),
+    lua: [
+      ...convertPico8PalToLua(pal),
+      ...convertLdtkLevelsToLua(levelPlacements, {
+        entities: entities !== "map",
+        intGridLayers: intGridModes
+          .filter(({ mode }) => mode === "lua")
+          .map(({ identifier }) => identifier),
+        tileToSprite: exportedTileToSprite,
+        extendedMap: extendedMapData,
+        animations: exportedAnimations,
+        mapBounds,
+      }),
+    ],
+    entitiesLua: convertLdtkLevelEntitiesToLua(
+      levelPlacements,
+      exportedTileToSprite
+    ),
     palt,
-    {
-      x: 0,
-      y: 0,
-      width: PICO_SPRITE_WIDTH_PX,
-      height: PICO_SPRITE_HEIGHT_PX,
-    }
-  );
-  let p8spriteFlags = convertLdtkTilesetEnumToP8SpriteFlags(ldtkTilesetEnum);
-  let p8mapData = convertLdtkFlatTilesToP8MapData(ldtkFlatTiles, ldtkTileset);
-  [p8spriteData, p8mapData] = mergeP8SharedMapIntoSpriteData(
-    p8spriteData,
-    p8mapData,
-    argv["overlap-strategy"]
-  );
-
-  const cart = writeP8Cart({
-    __gfx__: p8spriteData,
-    __gff__: p8spriteFlags,
-    __map__: p8mapData,
-    __lua__: `-- generated by ldtk-pico8
-cx = 0
-cy = 0
-
-function _update()
- if (btn(0)) cx -= 2
- if (btn(1)) cx += 2
- if (btn(2)) cy -= 2
- if (btn(3)) cy += 2
-end
-
-function _draw()
- cls(${
-   palt === 0
-     ? `0)`
-     : `${palt})
- palt(0,false)
- palt(${palt},true)`
- }
- camera(cx,cy)
- map(0,0,0,0,128,64)${
-   palt === 0
-     ? ``
-     : `
- palt(0)`
- }
-end`.split("\n"),
-  });
-
-  fs.writeFileSync(path.resolve(process.cwd(), argv.output), cart);
-
-  console.log(
-    `✅ Exported ${path.relative(process.cwd(), argv._[0])} to ${path.relative(
-      process.cwd(),
-      argv.output
-    )}`
-  );
-}
-
-main()
-  .then(() => process.exit(0))
-  .catch((error) => {
-    console.error(`[erro] ${error.messge || error.toString()}`);
-    process.exit(-1);
-  });
+    pal,
+    animations: exportedAnimations,
+    // Levels loaded from Lua strings are drawn from the top-left of the map
+    mapSize: {
+      width: Math.min(
+        mapBounds.width,
+        Math.max(
+          ...levelPlacements.map(({ x, width }) => (mapAsLua ? 0 : x) + width)
+        )
+      ),
+      height: Math.min(
+        mapBounds.height,
+        Math.max(
+          ...levelPlacements.map(({ y, height }) => (mapAsLua ? 0 : y) + height)
+        )
+      ),
+    },
+    mapRegions: orderLdtkLayerRegions(
+      ldtkJson,
+      layerRegions,
+      levelPlacements,
+      mapRect
+    ),
+    overlapReport: overlapReportData,
+    warnings,
+    // The files read from disk during conversion
+    files: [ldtkFilePath, ...tilesetPaths].filter(Boolean),
+  };
+}
+
+/**
+ * Convert a .p8 cart (either its text contents, or already parsed with
+ * `parseP8Cart()` / `loadP8Cart()`) into a new LDtk project.
+ *
+ * The sprite sheet becomes a tileset image (saved alongside the project at
+ * `tilesetRelPath`) with `palt` made transparent, the sprite flags become a
+ * tileset Enum, and the map becomes a Tiles layer. When `sharedArea` is "map",
+ * the bottom half of the sprite sheet is also read as the bottom half of the
+ * map.
+ *
+ * Returns `{ ldtk, png }`; the project JSON and a Buffer of the tileset image.
+ */
+async function convertCart(
+  cartData,
+  { tilesetRelPath, palt = 0, sharedArea = "map" } = {}
+) {
+  const includeShared = sharedArea === "map";
+  const cart = typeof cartData === "string" ? parseP8Cart(cartData) : cartData;
+  const gfxPixels = decodeP8GfxPixels(cart);
+  const mapCells = decodeP8MapCells(cart, gfxPixels, includeShared);
+  const enumTags = convertP8SpriteFlagsToLdtkEnumTags(
+    decodeP8SpriteFlags(cart)
+  );
+
+  return {
+    ldtk: createLdtkProject({
+      tilesetRelPath,
+      enumTags,
+      mapCells,
+      mapHeightCells: includeShared
+        ? PICO_MAP_HEIGHT_CELLS
+        : PICO_MAP_SHARED_ROWS_FROM,
+      palt,
+    }),
+    png: await convertPico8PixelsToPng(gfxPixels, palt),
+  };
+}
+
+module.exports = {
+  PALETTE,
+  convertProject,
+  loadConfig,
+  convertCart,
+  renderCartPreview,
+  writeP8Cart,
+  convertP8CartToRom,
+  convertP8CartToPng,
+  loadP8Cart,
+  parseP8Cart,
+  serializeP8Cart,
+  mergeP8CartSections,
+};
@@ -0,0 +1,184 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const jimp = require("jimp");
+const { convertP8CartToRom, convertP8CartToPng } = require("../src/index");
+
+// Decoding is written out from the file format rather than using the
+// converter's own helpers, so a mistake in one isn't hidden by the other.
+// See: https://pico-8.fandom.com/wiki/P8PNGFileFormat
+const CODE_CHARACTERS =
+  "\n 0123456789abcdefghijklmnopqrstuvwxyz!#%(){}[]<>+=/*:;.,~_";
+const DEFAULT_SFX = `00100000${"0".repeat(160)}`;
+const DEFAULT_MUSIC = "00 41424344";
+
+const hex = (value, digits) => value.toString(16).padStart(digits, "0");
+
+const code = [
+  "-- round trip",
+  "function _init()",
+  ' msg="Hello, World! \\t"',
+  "end",
+  // Enough repetition to copy blocks from further back than the copy window
+  ...Array.from(
+    { length: 400 },
+    (_, index) => `function f${index}() return ${index * 37} end`
+  ),
+].join("\n");
+const gfx = Array.from({ length: 128 }, (_, y) =>
+  Array.from({ length: 128 }, (_, x) => hex((x * 7 + y * 13) % 16, 1)).join("")
+);
+const gff = Array.from({ length: 2 }, (_, row) =>
+  Array.from({ length: 128 }, (_, x) => hex((x * 3 + row) % 256, 2)).join("")
+);
+const map = Array.from({ length: 32 }, (_, y) =>
+  Array.from({ length: 128 }, (_, x) => hex((x + y * 5) % 256, 2)).join("")
+);
+const sfx = [
+  // Editor mode, speed & loop points, then notes of pitch, waveform (8+ are
+  // custom instruments), volume & effect
+  `01200408${Array.from(
+    { length: 32 },
+    (_, note) =>
+      `${hex(note * 2, 2)}${hex(note % 16, 1)}${hex(note % 8, 1)}${hex(
+        (note * 3) % 8,
+        1
+      )}`
+  ).join("")}`,
+  DEFAULT_SFX,
+  `00080010${"3f777".repeat(32)}`,
+];
+const music = ["01 01424344", "02 05064344", "04 41020304", "0f 3f3e3d3c"];
+
+const cart = [
+  "pico-8 cartridge // http://www.pico-8.com",
+  "version 41",
+  "__lua__",
+  code,
+  "__gfx__",
+  ...gfx,
+  "__gff__",
+  ...gff,
+  "__map__",
+  ...map,
+  "__sfx__",
+  ...sfx,
+  "__music__",
+  ...music,
+  "",
+].join("\n");
+
+function decompressCode(rom) {
+  assert.equal(rom.toString("latin1", 0x4300, 0x4304), ":c:\0");
+  const length = (rom[0x4304] << 8) | rom[0x4305];
+  const decoded = [];
+  let index = 0x4308;
+  while (decoded.length < length) {
+    const byte = rom[index++];
+    if (byte === 0) {
+      decoded.push(rom[index++]);
+    } else if (byte < 0x3c) {
+      decoded.push(CODE_CHARACTERS.charCodeAt(byte - 1));
+    } else {
+      const next = rom[index++];
+      const offset = (byte - 0x3c) * 16 + (next & 0xf);
+      const copyLength = (next >> 4) + 2;
+      const start = decoded.length - offset;
+      for (let i = 0; i < copyLength; i++) {
+        decoded.push(decoded[start + i]);
+      }
+    }
+  }
+  return Buffer.from(decoded).toString("latin1");
+}
+
+// Convert the ROM back into the lines of each section of the text format
+function decodeRom(rom) {
+  return {
+    code: decompressCode(rom),
+    gfx: Array.from({ length: 128 }, (_, y) =>
+      Array.from({ length: 128 }, (_, x) =>
+        hex((rom[y * 64 + (x >> 1)] >> ((x & 1) * 4)) & 0xf, 1)
+      ).join("")
+    ),
+    gff: Array.from({ length: 2 }, (_, row) =>
+      Array.from({ length: 128 }, (_, x) =>
+        hex(rom[0x3000 + row * 128 + x], 2)
+      ).join("")
+    ),
+    map: Array.from({ length: 32 }, (_, y) =>
+      Array.from({ length: 128 }, (_, x) =>
+        hex(rom[0x2000 + y * 128 + x], 2)
+      ).join("")
+    ),
+    sfx: Array.from({ length: 64 }, (_, index) => {
+      const offset = 0x3200 + index * 68;
+      const notes = Array.from({ length: 32 }, (_, note) => {
+        const data = rom.readUInt16LE(offset + note * 2);
+        const waveform = ((data >> 6) & 0x7) | ((data >> 15) << 3);
+        return `${hex(data & 0x3f, 2)}${hex(waveform, 1)}${hex(
+          (data >> 9) & 0x7,
+          1
+        )}${hex((data >> 12) & 0x7, 1)}`;
+      });
+      return `${[...rom.subarray(offset + 64, offset + 68)]
+        .map((byte) => hex(byte, 2))
+        .join("")}${notes.join("")}`;
+    }),
+    music: Array.from({ length: 64 }, (_, pattern) => {
+      const offset = 0x3100 + pattern * 4;
+      const channels = [...rom.subarray(offset, offset + 4)];
+      const flags = channels.reduce(
+        (value, channel, index) => value | ((channel >> 7) << index),
+        0
+      );
+      return `${hex(flags, 2)} ${channels
+        .map((channel) => hex(channel & 0x7f, 2))
+        .join("")}`;
+    }),
+  };
+}
+
+function assertRoundTrip(decoded) {
+  assert.equal(decoded.code, code);
+  assert.deepEqual(decoded.gfx, gfx);
+  assert.deepEqual(decoded.gff, gff);
+  assert.deepEqual(decoded.map, map);
+  assert.deepEqual(
+    decoded.sfx,
+    Array.from({ length: 64 }, (_, index) => sfx[index] ?? DEFAULT_SFX)
+  );
+  assert.deepEqual(
+    decoded.music,
+    Array.from({ length: 64 }, (_, index) => music[index] ?? DEFAULT_MUSIC)
+  );
+}
+
+test("convertP8CartToRom() round-trips every section of a text cart", () => {
+  const rom = convertP8CartToRom(cart);
+
+  assert.equal(rom.length, 0x8000);
+  assertRoundTrip(decodeRom(rom));
+});
+
+test("convertP8CartToPng() hides the same ROM in a cartridge image", async () => {
+  const image = await jimp.read(await convertP8CartToPng(cart));
+  const { width, height, data } = image.bitmap;
+  // Each byte is stored as ARGB, 2 bits per channel
+  const bytes = Buffer.from(
+    Array.from(
+      { length: width * height },
+      (_, index) =>
+        ((data[index * 4 + 3] & 3) << 6) |
+        ((data[index * 4] & 3) << 4) |
+        ((data[index * 4 + 1] & 3) << 2) |
+        (data[index * 4 + 2] & 3)
+    )
+  );
+
+  assert.equal(width, 160);
+  assert.equal(height, 205);
+  assert.deepEqual(bytes.subarray(0, 0x8000), convertP8CartToRom(cart));
+  // The PICO-8 version follows the ROM
+  assert.equal(bytes[0x8000], 41);
+  assertRoundTrip(decodeRom(bytes.subarray(0, 0x8000)));
+});
@@ -0,0 +1,184 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { execFileSync } = require("node:child_process");
+const fs = require("node:fs");
+const os = require("node:os");
+const path = require("node:path");
+
+const CLI = path.join(__dirname, "../src/cli.js");
+
+// Sprite 1 is a diagonal line, placed next to the top-left of the map
+const gfx = Array.from(
+  { length: 8 },
+  (_, y) => `00000000${"0".repeat(y)}8${"0".repeat(7 - y)}`
+);
+const sourceCart = [
+  "pico-8 cartridge // http://www.pico-8.com",
+  "version 41",
+  "__gfx__",
+  ...gfx,
+  "__map__",
+  "0001",
+  "",
+].join("\n");
+
+// A cart as last saved by PICO-8 on Windows, with every section the export
+// doesn't own
+const targetCart = [
+  "pico-8 cartridge // http://www.pico-8.com",
+  "version 38",
+  "__lua__",
+  "function _draw()",
+  " cls() map()",
+  "end",
+  "__gfx__",
+  "77777777",
+  "__label__",
+  "11111111",
+  "__map__",
+  "0202",
+  "__sfx__",
+  `000100001d0501d050${"0".repeat(150)}`,
+  "__music__",
+  "00 01424344",
+  "",
+].join("\r\n");
+
+function sectionLines(cart, name) {
+  const lines = cart.split(/\r?\n/);
+  const start = lines.indexOf(name) + 1;
+  const end = lines.findIndex(
+    (line, index) => index >= start && /^__[a-z0-9]+__$/.test(line)
+  );
+  return start ? lines.slice(start, end === -1 ? undefined : end) : undefined;
+}
+
+// Import the source cart into an LDtk project, to export back out
+function createProjectDir(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "ldtk-pico8-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  fs.writeFileSync(path.join(dir, "source.p8"), sourceCart);
+  fs.writeFileSync(path.join(dir, "game.p8"), targetCart);
+  runCli(dir, ["import", "source.p8", "-o", "project.ldtk"]);
+  return dir;
+}
+
+function runCli(dir, args) {
+  return execFileSync(process.execPath, [CLI, ...args], {
+    cwd: dir,
+    encoding: "utf8",
+    stdio: "pipe",
+  });
+}
+
+test("--into replaces the exported sections and keeps the rest of the cart", (t) => {
+  const dir = createProjectDir(t);
+
+  runCli(dir, ["project.ldtk", "--into", "game.p8"]);
+  const cart = fs.readFileSync(path.join(dir, "game.p8"), "utf8");
+
+  // Still CRLF throughout, including the final line
+  assert.equal(cart.replace(/\r\n/g, "").includes("\n"), false);
+  assert.ok(cart.endsWith("\r\n"));
+  assert.deepEqual(cart.split("\r\n").slice(0, 2), [
+    "pico-8 cartridge // http://www.pico-8.com",
+    "version 38",
+  ]);
+  // In the order they were, with __gff__ added where PICO-8 puts it
+  assert.deepEqual(
+    cart.split("\r\n").filter((line) => /^__[a-z0-9]+__$/.test(line)),
+    [
+      "__lua__",
+      "__gfx__",
+      "__label__",
+      "__gff__",
+      "__map__",
+      "__sfx__",
+      "__music__",
+    ]
+  );
+  ["__lua__", "__label__", "__sfx__", "__music__"].forEach((name) => {
+    assert.deepEqual(
+      sectionLines(cart, name),
+      sectionLines(targetCart, name),
+      `${name} is kept`
+    );
+  });
+  assert.deepEqual(
+    sectionLines(cart, "__gfx__"),
+    gfx.map((line) => line.padEnd(128, "0"))
+  );
+  assert.equal(sectionLines(cart, "__map__")[0].slice(0, 4), "0001");
+});
+
+test("--into replaces the label only when rendering a new one", (t) => {
+  const dir = createProjectDir(t);
+
+  runCli(dir, ["project.ldtk", "--into", "game.p8", "--label=0,0"]);
+  const label = sectionLines(
+    fs.readFileSync(path.join(dir, "game.p8"), "utf8"),
+    "__label__"
+  );
+
+  assert.equal(label.length, 128);
+  assert.equal(label[0].slice(0, 16), "0000000080000000");
+});
+
+test("--intgrid only takes one mode per layer", (t) => {
+  const dir = createProjectDir(t);
+
+  assert.throws(
+    () =>
+      runCli(dir, [
+        "project.ldtk",
+        "-o",
+        "out.p8",
+        "--intgrid",
+        "Collisions=flags",
+        "--intgrid",
+        "Collisions=lua",
+      ]),
+    ({ stderr }) =>
+      stderr.includes(
+        'Layer "Collisions" is given more than one --intgrid mode; use one of "flags" or "lua"'
+      )
+  );
+  assert.equal(fs.existsSync(path.join(dir, "out.p8")), false);
+});
+
+test("--into with --extended-map writes the levels to --levels-lua and leaves the map", (t) => {
+  const dir = createProjectDir(t);
+
+  assert.throws(
+    () => runCli(dir, ["project.ldtk", "--into", "game.p8", "--extended-map"]),
+    ({ stderr }) =>
+      stderr.includes(
+        "Must provide --levels-lua to use --extended-map with --into, as the cart's code is left as it is"
+      )
+  );
+  assert.equal(fs.readFileSync(path.join(dir, "game.p8"), "utf8"), targetCart);
+
+  runCli(dir, [
+    "project.ldtk",
+    "--into",
+    "game.p8",
+    "--extended-map",
+    "--levels-lua",
+    "levels.lua",
+  ]);
+  const cart = fs.readFileSync(path.join(dir, "game.p8"), "utf8");
+
+  ["__lua__", "__map__"].forEach((name) => {
+    assert.deepEqual(
+      sectionLines(cart, name),
+      sectionLines(targetCart, name),
+      `${name} is kept`
+    );
+  });
+  // An empty cell, then sprite 1
+  assert.match(
+    fs.readFileSync(path.join(dir, "levels.lua"), "utf8"),
+    /^extended_map="000010"$/m
+  );
+});
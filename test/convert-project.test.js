@@ -0,0 +1,734 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const jimp = require("jimp");
+const { convertProject } = require("../src/index");
+
+// PICO-8 colors 0-3
+const PALETTE = [0x000000ff, 0x1d2b53ff, 0x7e2553ff, 0x008751ff];
+
+// A 128x128 tileset the size of the sprite sheet, with the first `tileCount`
+// tiles drawn (the rest are transparent, so by default the shared area is
+// empty). Every tile is different (and none is a flipped copy of another);
+// color 1 with its tile id in color 2 along the top row, and a color 3 pixel in
+// the bottom-right.
+async function createTilesetImage(tileCount = 128) {
+  const image = new jimp(128, 128, 0x00000000);
+  for (let tileId = 0; tileId < tileCount; tileId++) {
+    const tileX = (tileId % 16) * 8;
+    const tileY = Math.floor(tileId / 16) * 8;
+    for (let y = 0; y < 8; y++) {
+      for (let x = 0; x < 8; x++) {
+        const color =
+          y === 0 && (tileId >> x) & 1 ? 2 : x === 7 && y === 7 ? 3 : 1;
+        image.setPixelColor(PALETTE[color], tileX + x, tileY + y);
+      }
+    }
+  }
+  return image.getBufferAsync(jimp.MIME_PNG);
+}
+
+// A project of levels (8x8 cells unless given a `width` & `height`), each
+// with `tiles` as [{ x, y, tileId, f }] and `intGridCsv` the values of its
+// "Markers" IntGrid layer
+function createProject(levels, worldLayout = "Free") {
+  return {
+    worldLayout,
+    defs: {
+      layers: [],
+      entities: [],
+      enums: [],
+      levelFields: [],
+      tilesets: [
+        {
+          identifier: "Tiles",
+          uid: 1,
+          relPath: "tiles.png",
+          pxWid: 128,
+          pxHei: 128,
+          tileGridSize: 8,
+          __cWid: 16,
+          __cHei: 16,
+          spacing: 0,
+          padding: 0,
+          enumTags: [],
+          customData: [],
+        },
+      ],
+    },
+    levels: levels.map(
+      (
+        {
+          identifier = "Level_0",
+          worldX = 0,
+          worldY = 0,
+          width = 8,
+          height = 8,
+          tiles = [],
+          intGridCsv = [],
+        },
+        index
+      ) => {
+        const layer = (layerIdentifier, type, fields) => ({
+          __identifier: layerIdentifier,
+          __type: type,
+          __cWid: width,
+          __cHei: height,
+          __gridSize: 8,
+          __tilesetDefUid: type === "Tiles" ? 1 : null,
+          __pxTotalOffsetX: 0,
+          __pxTotalOffsetY: 0,
+          visible: true,
+          intGridCsv: [],
+          autoLayerTiles: [],
+          gridTiles: [],
+          entityInstances: [],
+          ...fields,
+        });
+
+        return {
+          identifier,
+          uid: index,
+          worldX,
+          worldY,
+          pxWid: width * 8,
+          pxHei: height * 8,
+          fieldInstances: [],
+          layerInstances: [
+            layer("Markers", "IntGrid", { visible: false, intGridCsv }),
+            layer("Tiles", "Tiles", {
+              gridTiles: tiles.map(({ x, y, tileId, f = 0 }) => ({
+                px: [x * 8, y * 8],
+                src: [(tileId % 16) * 8, Math.floor(tileId / 16) * 8],
+                f,
+              })),
+            }),
+          ],
+        };
+      }
+    ),
+  };
+}
+
+test("convertProject() keeps flipped copies out of the sprites holding IntGrid markers", async () => {
+  // The markers of the top-left cell land in map cell 0,32, which is stored
+  // in sprite 128; the first free sprite once the top half is full
+  const { gfx, warnings } = await convertProject(
+    createProject([
+      { tiles: [{ x: 0, y: 0, tileId: 1, f: 1 }], intGridCsv: [1] },
+    ]),
+    {
+      images: { "tiles.png": await createTilesetImage() },
+      intGrid: { Markers: "map:0,32" },
+      overlapStrategy: "merge",
+    }
+  );
+
+  assert.ok(
+    warnings.some(({ message }) => message.endsWith("1 flip 1 -> 129")),
+    "the flipped copy skips sprite 128"
+  );
+  // Map cell 0,32 (the marker) is merged into the first pixels of sprite 128
+  assert.equal(gfx[64].slice(0, 2), "10");
+  // Sprite 129 is the flipped copy of tile 1; its tile id mirrored along the
+  // top row, and the color 3 pixel in the bottom-left
+  assert.equal(gfx[64].slice(8, 16), "11111112");
+  assert.equal(gfx[71].slice(8, 16), "31111111");
+});
+
+test("convertProject() rejects a label position outside the map", async () => {
+  const options = { images: { "tiles.png": await createTilesetImage() } };
+  const project = createProject([{ tiles: [{ x: 0, y: 0, tileId: 1 }] }]);
+
+  await assert.rejects(
+    convertProject(project, { ...options, label: "200,0" }),
+    {
+      message:
+        'Invalid label position "200,0"; it\'s outside the 128x64 cell map.',
+    }
+  );
+  await assert.rejects(
+    convertProject(project, { ...options, mapOutput: "lua", label: "0,8" }),
+    {
+      message:
+        'Invalid label position "0,8"; it\'s outside the 8x8 cell first level.',
+    }
+  );
+  // A window reaching past the edge still shows the cells inside it
+  const { label } = await convertProject(project, {
+    ...options,
+    label: "0,56",
+  });
+  assert.equal(label.length, 128);
+});
+
+// The sprite in a cell of the exported map; empty rows & columns are trimmed
+function mapCell(map, x, y) {
+  return parseInt(map[y]?.slice(x * 2, x * 2 + 2) || "00", 16);
+}
+
+test("convertProject() places levels by their world position", async () => {
+  // The top-left of the world is the top-left of the map
+  const { map, lua } = await convertProject(
+    createProject([
+      {
+        identifier: "Start",
+        worldX: 256,
+        worldY: 128,
+        tiles: [{ x: 0, y: 0, tileId: 1 }],
+      },
+      {
+        identifier: "Cave",
+        worldX: 320,
+        worldY: 192,
+        width: 16,
+        height: 4,
+        tiles: [{ x: 1, y: 1, tileId: 2 }],
+      },
+    ]),
+    { images: { "tiles.png": await createTilesetImage() } }
+  );
+
+  assert.equal(mapCell(map, 0, 0), 1);
+  assert.equal(mapCell(map, 9, 9), 2);
+  assert.deepEqual(lua.slice(0, 3), [
+    "levels={",
+    ' {id="start",x=0,y=0,w=8,h=8,fields={}},',
+    ' {id="cave",x=8,y=8,w=16,h=4,fields={}},',
+  ]);
+});
+
+test("convertProject() places levels of a linear world one after the other", async () => {
+  const { map, lua } = await convertProject(
+    createProject(
+      [
+        { identifier: "First", tiles: [{ x: 0, y: 0, tileId: 1 }] },
+        { identifier: "Second", tiles: [{ x: 0, y: 0, tileId: 2 }] },
+      ],
+      "LinearHorizontal"
+    ),
+    { images: { "tiles.png": await createTilesetImage() } }
+  );
+
+  assert.equal(mapCell(map, 0, 0), 1);
+  assert.equal(mapCell(map, 8, 0), 2);
+  assert.equal(lua[2], ' {id="second",x=8,y=0,w=8,h=8,fields={}},');
+});
+
+test("convertProject() packs levels into rows, tallest first", async () => {
+  // All three are at the same world position, which is ignored
+  const { lua } = await convertProject(
+    createProject([
+      { identifier: "Short", width: 16, height: 4 },
+      { identifier: "Tall", width: 8, height: 16 },
+      { identifier: "Wide", width: 120, height: 8 },
+    ]),
+    {
+      images: { "tiles.png": await createTilesetImage() },
+      levelLayout: "pack",
+    }
+  );
+
+  assert.deepEqual(lua.slice(1, 4), [
+    ' {id="short",x=0,y=16,w=16,h=4,fields={}},',
+    ' {id="tall",x=0,y=0,w=8,h=16,fields={}},',
+    ' {id="wide",x=8,y=0,w=120,h=8,fields={}},',
+  ]);
+});
+
+test("convertProject() lists every level which doesn't fit in the map", async () => {
+  await assert.rejects(
+    convertProject(
+      createProject([
+        { identifier: "A" },
+        { identifier: "B", worldX: 32 },
+        { identifier: "C", worldY: 512 },
+      ]),
+      { images: { "tiles.png": await createTilesetImage() } }
+    ),
+    {
+      message: [
+        "Cannot fit levels into the PICO-8 map:",
+        '  - Level "A" (8x8 at 0,0) collides with level "B" (8x8 at 4,0).',
+        '  - Level "C" (8x8 at 0,64) falls outside the PICO-8 map (128x64).',
+      ].join("\n"),
+    }
+  );
+});
+
+test("convertProject() copies flipped tiles into the first free sprite", async () => {
+  // Sprite 4 is empty, but used in the map
+  const { map, warnings } = await convertProject(
+    createProject([
+      {
+        tiles: [
+          { x: 0, y: 0, tileId: 1, f: 1 },
+          { x: 1, y: 0, tileId: 2, f: 2 },
+          { x: 2, y: 0, tileId: 1, f: 1 },
+          { x: 3, y: 0, tileId: 4 },
+        ],
+      },
+    ]),
+    { images: { "tiles.png": await createTilesetImage(4) } }
+  );
+
+  assert.ok(
+    warnings.some(({ message }) =>
+      message.endsWith("1 flip 1 -> 5, 2 flip 2 -> 6")
+    )
+  );
+  assert.deepEqual(
+    [0, 1, 2, 3].map((x) => mapCell(map, x, 0)),
+    [5, 6, 5, 4]
+  );
+});
+
+test("convertProject() only copies flipped tiles into the shared area once the top half is full", async () => {
+  // Map cells 0,32 to 3,32 are stored in sprite 128
+  const { map, gfx, warnings } = await convertProject(
+    createProject([
+      { tiles: [{ x: 0, y: 0, tileId: 1, f: 1 }] },
+      { identifier: "Shared", worldY: 256, tiles: [{ x: 2, y: 0, tileId: 2 }] },
+    ]),
+    {
+      images: { "tiles.png": await createTilesetImage() },
+      overlapStrategy: "merge",
+    }
+  );
+
+  assert.ok(
+    warnings.some(({ message }) => message.endsWith("1 flip 1 -> 129"))
+  );
+  assert.equal(mapCell(map, 0, 0), 129);
+  // The map cells are merged into sprite 128, next to the flipped copy
+  assert.equal(gfx[64].slice(0, 16), "0000200011111112");
+});
+
+test("convertProject() stops when there's no free sprite for a flipped copy", async () => {
+  // Every sprite of the shared area holds map cells
+  await assert.rejects(
+    convertProject(
+      createProject([
+        { tiles: [{ x: 0, y: 0, tileId: 1, f: 1 }] },
+        {
+          identifier: "Shared",
+          worldY: 256,
+          width: 128,
+          height: 32,
+          tiles: Array.from({ length: 128 * 32 }, (_, index) => ({
+            x: index % 128,
+            y: Math.floor(index / 128),
+            tileId: 1,
+          })),
+        },
+      ]),
+      {
+        images: { "tiles.png": await createTilesetImage() },
+        overlapStrategy: "map",
+      }
+    ),
+    {
+      message:
+        "Cannot process flipped tiles; no free sprites left for the flipped copy of sprite 1. Free up some space in the sprite sheet or remove flipping from some tiles.",
+    }
+  );
+});
+
+test("convertProject() compacts the used sprites toward the top of the sprite sheet", async () => {
+  // The flipped copy of tile 7 goes into sprite 128, the first free sprite
+  const { map, gfx, warnings } = await convertProject(
+    createProject([
+      {
+        tiles: [
+          { x: 0, y: 0, tileId: 100 },
+          { x: 1, y: 0, tileId: 3 },
+          { x: 2, y: 0, tileId: 7 },
+          { x: 3, y: 0, tileId: 7, f: 1 },
+        ],
+      },
+    ]),
+    { images: { "tiles.png": await createTilesetImage() }, compact: true }
+  );
+
+  assert.deepEqual(
+    [0, 1, 2, 3].map((x) => mapCell(map, x, 0)),
+    [3, 1, 2, 4]
+  );
+  // Tile 3 is now sprite 1, and the flipped copy of tile 7 is sprite 4
+  assert.equal(gfx[0].slice(8, 16), "22111111");
+  assert.equal(gfx[0].slice(32, 40), "11111222");
+  assert.equal(gfx.length, 8);
+  assert.ok(
+    warnings.some(
+      ({ message }) =>
+        message ===
+        "Compacted 4 used sprite(s) into sprites 0-4; the shared area (sprites 128-255) is free for map data."
+    )
+  );
+});
+
+test("convertProject() compacts sprites around the pinned sprites", async () => {
+  const { map, gfx } = await convertProject(
+    createProject([
+      {
+        tiles: [
+          { x: 0, y: 0, tileId: 3 },
+          { x: 1, y: 0, tileId: 7 },
+          { x: 2, y: 0, tileId: 100 },
+        ],
+      },
+    ]),
+    {
+      images: { "tiles.png": await createTilesetImage() },
+      compact: true,
+      pin: [2, 3],
+    }
+  );
+
+  assert.deepEqual(
+    [0, 1, 2].map((x) => mapCell(map, x, 0)),
+    [3, 1, 4]
+  );
+  // Sprite 2 isn't in the map, but is kept as it was
+  assert.equal(gfx[0].slice(16, 24), "12111111");
+});
+
+test("convertProject() compacts into the shared area when the top half is full", async () => {
+  // Every tile but tile 0, plus the flipped copy of tile 1 in sprite 128
+  const { map, warnings } = await convertProject(
+    createProject([
+      {
+        width: 16,
+        tiles: [
+          ...Array.from({ length: 127 }, (_, index) => ({
+            x: (index + 1) % 16,
+            y: Math.floor((index + 1) / 16),
+            tileId: index + 1,
+          })),
+          { x: 0, y: 0, tileId: 1, f: 1 },
+        ],
+      },
+    ]),
+    {
+      images: { "tiles.png": await createTilesetImage() },
+      compact: true,
+      overlapStrategy: "merge",
+    }
+  );
+
+  assert.equal(mapCell(map, 0, 0), 128);
+  assert.equal(mapCell(map, 15, 7), 127);
+  assert.ok(
+    warnings.some(
+      ({ message }) =>
+        message === "Compacted 128 used sprite(s) into sprites 0-128."
+    )
+  );
+});
+
+// Tiles 128 & 129 fill sprites 128 & 129 of the shared area. The map cell at
+// 0,32 is stored in sprite 128 (a conflict), and 8,32 in the empty sprite 130.
+async function convertSharedArea(options, tiles = [0, 8]) {
+  return convertProject(
+    createProject([
+      { tiles: [{ x: 0, y: 0, tileId: 1 }] },
+      {
+        identifier: "Shared",
+        worldY: 256,
+        width: 16,
+        tiles: tiles.map((x) => ({ x, y: 0, tileId: 2 })),
+      },
+    ]),
+    { images: { "tiles.png": await createTilesetImage(130) }, ...options }
+  );
+}
+
+test('overlapStrategy "error" stops when map & sprites both use the shared area', async () => {
+  await assert.rejects(convertSharedArea({ overlapStrategy: "error" }), {
+    message: [
+      'Overlap strategy "error" prevents merging shared map & sprite data: Sprite data uses 2 sprite(s) of the shared area, and Map data uses 2 sprite(s) worth of the shared area.',
+      "  - sprite 128 collides with map cell(s) 0,32",
+    ].join("\n"),
+  });
+  await assert.rejects(convertSharedArea({ overlapStrategy: "error" }, [8]), {
+    message:
+      /They don't collide, so can be combined with the "merge" overlap strategy\.$/,
+  });
+});
+
+test('overlapStrategy "merge" combines map & sprites unless they collide', async () => {
+  await assert.rejects(convertSharedArea({ overlapStrategy: "merge" }), {
+    message: [
+      'Overlap strategy "merge" can\'t combine shared map & sprite data; 1 sprite(s) collide with map cells:',
+      "  - sprite 128 collides with map cell(s) 0,32",
+    ].join("\n"),
+  });
+
+  const { map, gfx } = await convertSharedArea({ overlapStrategy: "merge" }, [
+    8,
+  ]);
+  // Sprites 128 & 129 are kept, and map cell 8,32 is moved into sprite 130
+  assert.equal(gfx[64].slice(0, 24), "111111122111111220000000");
+  assert.ok(map.length <= 32, "the shared rows are removed from the map");
+});
+
+test('overlapStrategy "map" overwrites the sprites which collide', async () => {
+  const { map, gfx, warnings } = await convertSharedArea({
+    overlapStrategy: "map",
+  });
+
+  assert.equal(gfx[64].slice(0, 24), "200000002111111220000000");
+  assert.equal(gfx[65].slice(0, 8), "00000000");
+  assert.ok(map.length <= 32, "the shared rows are removed from the map");
+  assert.ok(
+    warnings.some(({ message }) =>
+      message.startsWith(
+        'Using "map" overlap strategy; map data overwrites 1 sprite(s) in the shared area:'
+      )
+    )
+  );
+});
+
+test('overlapStrategy "sprite" drops the map cells which collide', async () => {
+  const { map, gfx, warnings } = await convertSharedArea({
+    overlapStrategy: "sprite",
+  });
+
+  assert.equal(gfx[64].slice(0, 24), "111111122111111220000000");
+  assert.ok(map.length <= 32, "the shared rows are removed from the map");
+  assert.ok(
+    warnings.some(({ message }) =>
+      message.startsWith(
+        'Using "sprite" overlap strategy; sprite data overwrites map cells in the shared area:'
+      )
+    )
+  );
+});
+
+test("overlapReport renders the shared area, even when conflicts stop the export", async () => {
+  const { overlapReport } = await convertSharedArea({
+    overlapStrategy: "map",
+    overlapReport: true,
+  });
+  const error = await convertSharedArea({
+    overlapStrategy: "merge",
+    overlapReport: true,
+  }).catch((error) => error);
+
+  assert.ok(error instanceof Error);
+  assert.deepEqual(error.overlapReport, overlapReport);
+  const { width, height } = (await jimp.read(overlapReport)).bitmap;
+  assert.deepEqual({ width, height }, { width: 1024, height: 768 });
+});
+
+// Runs of a hex digit of the value, then a hex digit of the run length - 1
+function decodeIntGridRuns(packed) {
+  return packed
+    .match(/../g)
+    .flatMap(([value, length]) =>
+      Array(parseInt(length, 16) + 1).fill(parseInt(value, 16))
+    );
+}
+
+// The packed values of the first level's "Markers" layer
+function packedMarkers(lua) {
+  return lua
+    .find((line) => line.includes("intgrid="))
+    .match(/intgrid={markers="([^"]*)"}/)[1];
+}
+
+test('intGrid "lua" packs the values into runs', async () => {
+  // The example of the packing; 16 0's followed by 2 1's
+  const { lua } = await convertProject(
+    createProject([
+      { width: 9, height: 2, intGridCsv: [...Array(16).fill(0), 1, 1] },
+    ]),
+    {
+      images: { "tiles.png": await createTilesetImage() },
+      intGrid: { Markers: "lua" },
+    }
+  );
+
+  assert.equal(packedMarkers(lua), "0f11");
+});
+
+test('intGrid "lua" runs decode back into the values', async () => {
+  // Long runs, single values, and values too large for a hex digit
+  const intGridCsv = Array.from({ length: 64 }, (_, index) =>
+    index < 20 ? 0 : index < 22 ? 1 : index < 40 ? 17 : index % 3
+  );
+  const { lua, warnings } = await convertProject(
+    createProject([{ intGridCsv }]),
+    {
+      images: { "tiles.png": await createTilesetImage() },
+      intGrid: { Markers: "lua" },
+    }
+  );
+
+  assert.deepEqual(
+    decodeIntGridRuns(packedMarkers(lua)),
+    intGridCsv.map((value) => Math.min(value, 15))
+  );
+  assert.ok(
+    warnings.some(
+      ({ message }) =>
+        message ===
+        'IntGrid layer "Markers" has values above 15, which are stored as 15 in Lua.'
+    )
+  );
+});
+
+test('intGrid "flags" sets flag value - 1 on the tiles in each cell', async () => {
+  const { gff } = await convertProject(
+    createProject([
+      {
+        intGridCsv: [2, 0, 3],
+        tiles: [
+          { x: 0, y: 0, tileId: 1 },
+          { x: 2, y: 0, tileId: 5 },
+        ],
+      },
+    ]),
+    {
+      images: { "tiles.png": await createTilesetImage() },
+      intGrid: { Markers: "flags" },
+    }
+  );
+
+  assert.equal(gff[0].slice(0, 12), "000200000004");
+});
+
+// Runs of 2 hex digits of the sprite, then a base 36 digit of the run length
+// - 1
+function decodeMapRuns(packed) {
+  return packed
+    .match(/.../g)
+    .flatMap((run) =>
+      Array(parseInt(run[2], 36) + 1).fill(parseInt(run.slice(0, 2), 16))
+    );
+}
+
+// The packed map of each level in the `levels` table
+function packedMaps(lua) {
+  return lua
+    .filter((line) => line.startsWith(" {id="))
+    .map((line) => line.match(/,map="([^"]*)"/)[1]);
+}
+
+test('mapOutput "lua" packs each level into runs, at any size', async () => {
+  // A level wider than the PICO-8 map, with runs longer than one digit allows
+  const wide = Array.from({ length: 200 * 3 }, (_, index) => {
+    const x = index % 200;
+    const y = Math.floor(index / 200);
+    return y === 0 ? 1 : y === 1 ? 1 + (x % 3) : x < 150 ? 0 : 5;
+  });
+  const { map, lua } = await convertProject(
+    createProject([
+      {
+        identifier: "Wide",
+        width: 200,
+        height: 3,
+        tiles: wide
+          .map((tileId, index) => ({
+            x: index % 200,
+            y: Math.floor(index / 200),
+            tileId,
+          }))
+          .filter(({ tileId }) => tileId),
+      },
+      {
+        identifier: "Small",
+        worldY: 64,
+        width: 2,
+        height: 2,
+        tiles: [{ x: 1, y: 1, tileId: 1, f: 1 }],
+      },
+    ]),
+    {
+      images: { "tiles.png": await createTilesetImage() },
+      mapOutput: "lua",
+    }
+  );
+  const [widePacked, smallPacked] = packedMaps(lua);
+
+  assert.deepEqual(decodeMapRuns(widePacked), wide);
+  // The flipped tile is resolved into a sprite first
+  assert.deepEqual(decodeMapRuns(smallPacked), [0, 0, 0, 128]);
+  assert.equal(map.length, 0);
+  assert.ok(lua.includes("function load_map(l,sx,sy,w,h)"));
+});
+
+// The bytes of upper memory (from 0x8000) the `extended_map` string unpacks
+// into; trailing empty cells aren't stored
+function unpackExtendedMap(lua) {
+  const memory = new Uint8Array(0x8000);
+  const packed = lua
+    .find((line) => line.startsWith("extended_map="))
+    .match(/^extended_map="([^"]*)"$/)[1];
+  let address = 0;
+  decodeMapRuns(packed).forEach((value) => {
+    memory[address++] = value;
+  });
+  return memory;
+}
+
+test("extendedMap places levels in a map of upper memory", async () => {
+  const { map, lua } = await convertProject(
+    createProject([
+      { identifier: "Start", tiles: [{ x: 0, y: 0, tileId: 1 }] },
+      {
+        identifier: "Far",
+        worldX: 1600,
+        worldY: 800,
+        tiles: [{ x: 7, y: 7, tileId: 2 }],
+      },
+    ]),
+    {
+      images: { "tiles.png": await createTilesetImage() },
+      extendedMap: true,
+    }
+  );
+  const memory = unpackExtendedMap(lua);
+
+  // Rows are 256 cells wide, and the width is poked as 0
+  assert.equal(memory[0], 1);
+  assert.equal(memory[107 * 256 + 207], 2);
+  assert.equal(memory.filter((value) => value).length, 2);
+  assert.ok(lua.includes(" poke(0x5f56,0x80,0)"));
+  assert.equal(map.length, 0);
+});
+
+test("extendedMap fits as many rows of its width as upper memory holds", async () => {
+  const options = {
+    images: { "tiles.png": await createTilesetImage() },
+    extendedMap: 192,
+  };
+  const { lua } = await convertProject(
+    createProject([
+      { identifier: "Start", tiles: [{ x: 0, y: 0, tileId: 1 }] },
+      {
+        identifier: "Last",
+        worldY: 162 * 8,
+        tiles: [{ x: 0, y: 7, tileId: 2 }],
+      },
+    ]),
+    options
+  );
+
+  assert.equal(unpackExtendedMap(lua)[169 * 192], 2);
+  assert.ok(lua.includes(" poke(0x5f56,0x80,192)"));
+  await assert.rejects(
+    convertProject(
+      createProject([
+        { identifier: "Start" },
+        { identifier: "Below", worldY: 163 * 8 },
+      ]),
+      options
+    ),
+    {
+      message: [
+        "Cannot fit levels into the PICO-8 map:",
+        '  - Level "Below" (8x8 at 0,163) falls outside the PICO-8 map (192x170).',
+      ].join("\n"),
+    }
+  );
+});